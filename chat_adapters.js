@@ -0,0 +1,156 @@
+/**
+ * chat_adapters.js
+ *
+ * Source adapters: how to find turns, roles, message ids, content and
+ * attachments in a saved page from a given chat UI. Adapters are plain data
+ * (selectors / attribute names / regex strings) because they are passed into
+ * the page via page.evaluate.
+ *
+ * Adapter fields:
+ *   name, label
+ *   detect:      selectors that identify the source (score = number of matches)
+ *   turn:        selector of turn containers, or null (every message is a turn;
+ *                also the fallback when the page has no such containers)
+ *   turnId:      [{ attr, pattern }] readers on the turn element (first hit wins);
+ *                without one a stable id is derived from the content
+ *   turnNum:     [{ attr, pattern }] readers for the numeric turn order
+ *   message:     selector of message nodes (inside a turn); null = the turn is the message
+ *   role:        { attrs: [...], map: { raw: "user" | "assistant" } }
+ *   roles:       { user: selector, assistant: selector } (node matches or contains)
+ *   msgId:       [{ attr, pattern }] readers on the message node
+ *   content:     selectors (inside the message) holding the rendered markdown
+ *   attachments: selectors (inside the turn) of file chips outside message nodes
+ *   versions:    selectors (inside the turn) of the "2/3" navigator shown when a
+ *                message was regenerated or edited
+ *
+ * "pattern" is a regex string; its first capture group is the value.
+ */
+
+const ADAPTERS = [
+  {
+    name: "chatgpt",
+    label: "ChatGPT",
+    detect: ["[data-message-author-role]", "[data-turn-id]"],
+    turn: "[data-turn-id]",
+    turnId: [{ attr: "data-turn-id" }],
+    turnNum: [
+      { attr: "data-turn", pattern: "^(\\d+)$" },
+      // Newer saves use data-turn="user"/"assistant"; the number is in data-testid
+      { attr: "data-testid", pattern: "conversation-turn-(\\d+)" },
+    ],
+    message: "[data-message-author-role]",
+    role: { attrs: ["data-message-author-role"] },
+    msgId: [{ attr: "data-message-id" }],
+    content: [".markdown", ".prose", "[class*='markdown']"],
+    attachments: [],
+    // "2/3" between the "Previous response" / "Next response" buttons
+    versions: ["[class*='tabular-nums']"],
+  },
+  {
+    name: "claude",
+    label: "Claude",
+    detect: ["[data-testid='user-message']", ".font-claude-message", ".font-claude-response"],
+    turn: "[data-test-render-count]",
+    turnId: [],
+    turnNum: [],
+    message: "[data-testid='user-message'], .font-claude-message, .font-claude-response",
+    roles: {
+      user: "[data-testid='user-message']",
+      assistant: ".font-claude-message, .font-claude-response",
+    },
+    msgId: [],
+    content: [".standard-markdown", ".progressive-markdown", "[class*='markdown']"],
+    attachments: ["[data-testid='file-thumbnail']"],
+    versions: [],
+  },
+  {
+    name: "gemini",
+    label: "Gemini",
+    detect: ["user-query", "model-response"],
+    turn: ".conversation-container",
+    turnId: [{ attr: "id" }],
+    turnNum: [],
+    message: "user-query, model-response",
+    roles: { user: "user-query", assistant: "model-response" },
+    msgId: [],
+    content: [".markdown", "message-content", ".query-text"],
+    attachments: [],
+    versions: [],
+  },
+  {
+    name: "copilot",
+    label: "Copilot",
+    detect: ["[data-content='user-message']", "[data-content='ai-message']"],
+    turn: null,
+    turnId: [],
+    turnNum: [],
+    message: "[data-content='user-message'], [data-content='ai-message']",
+    role: { attrs: ["data-content"], map: { "user-message": "user", "ai-message": "assistant" } },
+    msgId: [{ attr: "id" }],
+    content: [".prose", "[class*='markdown']"],
+    attachments: [],
+    versions: [],
+  },
+  {
+    name: "generic",
+    label: "Generic",
+    detect: [],
+    turn: null,
+    turnId: [],
+    turnNum: [],
+    message:
+      "[data-message-author-role], [data-role], [data-author], [data-sender], .message, .chat-message",
+    role: { attrs: ["data-message-author-role", "data-role", "data-author", "data-sender"] },
+    roles: {
+      user: ".user, .human, [class*='user-message']",
+      assistant: ".assistant, .bot, .ai, [class*='assistant'], [class*='bot-message']",
+    },
+    msgId: [{ attr: "data-message-id" }, { attr: "data-id" }, { attr: "id" }],
+    content: [".markdown", ".prose", "[class*='markdown']", ".content", ".message-content"],
+    attachments: [],
+    versions: [],
+  },
+];
+
+const ADAPTER_NAMES = ADAPTERS.map((a) => a.name);
+
+function getAdapter(name) {
+  const a = ADAPTERS.find((x) => x.name === String(name).toLowerCase());
+  if (!a) {
+    throw new Error(`Unknown source adapter "${name}" (expected auto, ${ADAPTER_NAMES.join(", ")})`);
+  }
+  return a;
+}
+
+/**
+ * Pick the adapter for the loaded page: the specific adapter whose detect
+ * selectors match most, else "generic". override (CLI) skips detection.
+ */
+async function detectAdapter(page, override = "auto") {
+  if (override && override !== "auto") return getAdapter(override);
+
+  const scores = await page.evaluate(
+    (adapters) =>
+      adapters.map((a) =>
+        a.detect.reduce((n, sel) => n + document.querySelectorAll(sel).length, 0)
+      ),
+    ADAPTERS
+  );
+
+  let best = null;
+  let bestScore = 0;
+  ADAPTERS.forEach((a, i) => {
+    if (scores[i] > bestScore) {
+      best = a;
+      bestScore = scores[i];
+    }
+  });
+  return best || getAdapter("generic");
+}
+
+module.exports = {
+  ADAPTERS,
+  ADAPTER_NAMES,
+  getAdapter,
+  detectAdapter,
+};
@@ -0,0 +1,434 @@
+/**
+ * chat_archive.js
+ *
+ * Dehydrated JSON archive format for harvested chats.
+ *
+ * An archive keeps exactly what the exporter harvested (turns in order, and per
+ * message: msgId, role, html, text, files, plus the three counters) so a chat
+ * can be re-rendered later without the original saved ChatGPT page.
+ *
+ * Shape (version 1):
+ *   {
+ *     format: "dehydrated-chat",
+ *     version: 1,
+ *     title: "Chat title",                                       (optional)
+ *     source: { file: "saved_chat.html", snapshots: [...] },   (snapshots: merged inputs;
+ *                                                               conversationId: data-export imports)
+ *     exportedAt: "2026-01-31T12:00:00.000Z",
+ *     totals: { turns, messages, user, assistant },
+ *     harvest: { mode: "scroll" | "observe" | "update", adapters: ["chatgpt"], missingTurnNums: [],   (optional)
+ *                update: { from, previousSource, previousExportedAt, turns, messages,
+ *                          skippedTurnNums } },   (--update: what was appended / left out)
+ *     turns: [
+ *       { turnId, turnNum, firstSeen, sources: [snapshot names], messages: [
+ *           { msgId, role, html, text, files,
+ *             globalIdx, userIdx, assistantIdx, userCountSoFar, assistantCountSoFar }
+ *         ],
+ *         version: { index, count },                              (optional, see below)
+ *         alternates: [ { version, ofGlobalIdx, messages: [        (ofGlobalIdx: optional, see below)
+ *           { msgId, role, html, text, files, altIdx }
+ *         ] } ] }
+ *     ]
+ *   }
+ *
+ * Branches: a turn that was regenerated or edited ("2/3" in the ChatGPT UI)
+ * has a version; index is the version on the chosen path (the one in the main
+ * flow), count how many exist. Other versions that were captured go to
+ * alternates. They are not part of the main counters; altIdx numbers them
+ * across the whole chat ("Alt 1", "Alt 2", ...). They are versions of the
+ * turn's last message, or of the message whose globalIdx is ofGlobalIdx when
+ * an update added messages to the turn after it.
+ *
+ * Updates (appendToArchive): a later, partial harvest of the same chat is
+ * appended without renumbering, so "Index #312" means the same message in
+ * every export of the archive.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { msgFallbackKey } = require("./chat_harvest");
+
+const ARCHIVE_FORMAT = "dehydrated-chat";
+const ARCHIVE_VERSION = 1;
+
+const MESSAGE_FIELDS = [
+  "msgId",
+  "role",
+  "html",
+  "text",
+  "files",
+  "globalIdx",
+  "userIdx",
+  "assistantIdx",
+  "userCountSoFar",
+  "assistantCountSoFar",
+];
+
+/**
+ * Flatten sorted turns (user -> assistant -> others per turn) and assign the
+ * three counters: global index, per-role index, running U/A totals.
+ * turnsSorted: [{ turnId, turnNum, msgs: [{ msgId, role, html, text, files }],
+ *                 version?, alternates?: [{ version, msgs }] }]
+ * Alternate versions get their own altIdx and ride along on the turn's last
+ * message (see withTurnBranches).
+ */
+function numberTurns(turnsSorted) {
+  let altIdx = 0;
+
+  // Flatten: user -> assistant -> others per turn
+  const flattened = [];
+  for (const t of turnsSorted) {
+    const users = t.msgs.filter((m) => m.role === "user");
+    const assistants = t.msgs.filter((m) => m.role === "assistant");
+    const others = t.msgs.filter((m) => m.role !== "user" && m.role !== "assistant");
+
+    const alternates = (t.alternates || [])
+      .slice()
+      .sort((a, b) => a.version - b.version)
+      .map((a) => ({
+        version: a.version,
+        messages: a.msgs.map((m) => ({ ...m, altIdx: ++altIdx })),
+      }));
+
+    flattened.push(
+      ...withTurnBranches({ ...t, alternates }, [...users, ...assistants, ...others])
+    );
+  }
+
+  // Indices: global + per-role + running
+  let userIdx = 0;
+  let assistantIdx = 0;
+
+  return flattened.map((m, i) => {
+    const role = m.role || "unknown";
+    let roleIdx = null;
+
+    if (role === "user") roleIdx = ++userIdx;
+    else if (role === "assistant") roleIdx = ++assistantIdx;
+
+    return {
+      ...m,
+      globalIdx: i + 1,
+      userIdx: role === "user" ? roleIdx : null,
+      assistantIdx: role === "assistant" ? roleIdx : null,
+      userCountSoFar: userIdx,
+      assistantCountSoFar: assistantIdx,
+    };
+  });
+}
+
+/**
+ * Tag a turn's messages for rendering: every message gets turnId/turnNum and
+ * the turn's version; the turn's alternates ride on the message they are
+ * versions of (ofGlobalIdx), by default the last one.
+ */
+function withTurnBranches(t, msgs) {
+  const ownerOf = (a) => {
+    const i = a.ofGlobalIdx == null ? -1 : msgs.findIndex((m) => m.globalIdx === a.ofGlobalIdx);
+    return i === -1 ? msgs.length - 1 : i;
+  };
+  return msgs.map((m, i) => {
+    const alternates = (t.alternates || []).filter((a) => ownerOf(a) === i);
+    return {
+      ...m,
+      turnId: t.turnId,
+      turnNum: t.turnNum,
+      ...(t.version ? { version: t.version } : {}),
+      ...(alternates.length ? { alternates } : {}),
+    };
+  });
+}
+
+function pickMessage(m) {
+  const out = {};
+  for (const k of MESSAGE_FIELDS) out[k] = m[k] ?? null;
+  out.files = Array.isArray(m.files) ? m.files : [];
+  return out;
+}
+
+function pickAlternate(m) {
+  return {
+    msgId: m.msgId ?? null,
+    role: m.role ?? null,
+    html: m.html ?? null,
+    text: m.text ?? null,
+    files: Array.isArray(m.files) ? m.files : [],
+    altIdx: m.altIdx ?? null,
+  };
+}
+
+/**
+ * Build an archive from the sorted turns and the numbered (flattened) messages.
+ * Numbered messages must carry the turnId they were flattened from.
+ */
+function buildArchive({
+  sourceFile,
+  snapshots,
+  title,
+  conversationId,
+  turnsSorted,
+  numbered,
+  exportedAt,
+  harvest,
+}) {
+  const byTurn = new Map();
+  const alternatesByTurn = new Map(); // numbered (altIdx) alternates, with the message they ride on
+  for (const m of numbered) {
+    if (!byTurn.has(m.turnId)) byTurn.set(m.turnId, []);
+    byTurn.get(m.turnId).push(pickMessage(m));
+    if (m.alternates) {
+      if (!alternatesByTurn.has(m.turnId)) alternatesByTurn.set(m.turnId, []);
+      alternatesByTurn.get(m.turnId).push(...m.alternates.map((a) => ({ ...a, ofGlobalIdx: m.globalIdx })));
+    }
+  }
+
+  const turns = turnsSorted.map((t) => {
+    const alternates = alternatesByTurn.get(t.turnId);
+    const messages = byTurn.get(t.turnId) || [];
+    const lastIdx = messages.length ? messages[messages.length - 1].globalIdx : null;
+    return {
+      turnId: t.turnId,
+      turnNum: t.turnNum ?? null,
+      firstSeen: t.firstSeen ?? null,
+      ...(t.sources && t.sources.length ? { sources: t.sources } : {}),
+      messages,
+      ...(t.version ? { version: t.version } : {}),
+      ...(alternates && alternates.length
+        ? {
+            alternates: alternates.map((a) => ({
+              version: a.version,
+              ...(a.ofGlobalIdx !== lastIdx ? { ofGlobalIdx: a.ofGlobalIdx } : {}),
+              messages: a.messages.map(pickAlternate),
+            })),
+          }
+        : {}),
+    };
+  });
+
+  const last = numbered[numbered.length - 1];
+
+  return {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    ...(title ? { title } : {}),
+    source: {
+      file: sourceFile ? path.basename(sourceFile) : null,
+      ...(snapshots && snapshots.length > 1
+        ? { snapshots: snapshots.map((f) => path.basename(f)) }
+        : {}),
+      ...(conversationId ? { conversationId } : {}),
+    },
+    exportedAt: exportedAt || new Date().toISOString(),
+    totals: {
+      turns: turns.length,
+      messages: numbered.length,
+      user: last ? last.userCountSoFar : 0,
+      assistant: last ? last.assistantCountSoFar : 0,
+    },
+    ...(harvest ? { harvest } : {}),
+    turns,
+  };
+}
+
+/**
+ * Flatten an archive back into the numbered message list used by the renderer.
+ * Each message gets its turnId/turnNum (and version/alternates) attached again.
+ */
+function archiveMessages(archive) {
+  const out = [];
+  for (const t of archive.turns) {
+    out.push(...withTurnBranches(t, t.messages));
+  }
+  return out;
+}
+
+const messageKey = (m) => m.msgId || msgFallbackKey(m);
+
+/**
+ * Is a harvested turn ({ turnId, turnNum, msgs }) already in the archive? By
+ * turn id, or by one of its messages: anywhere in the archive when the message
+ * has a real msgId, otherwise by content against the archive's last turn only
+ * (turn ids derived from content change when a message is added to the turn,
+ * but the same content, "continue" say, can come back in any later turn).
+ * A turn numbered after the last turn is never matched by content.
+ */
+function archivedTurnMatcher(archive) {
+  const turnIds = new Set(archive.turns.map((t) => t.turnId));
+  const idTurn = new Map();
+  for (const t of archive.turns) {
+    for (const m of t.messages) if (m.msgId) idTurn.set(m.msgId, t.turnId);
+  }
+  const lastTurn = archive.turns[archive.turns.length - 1];
+  const lastKeys = new Set(lastTurn ? lastTurn.messages.map(messageKey) : []);
+  const isLater = (t) => lastTurn && lastTurn.turnNum != null && t.turnNum != null && t.turnNum > lastTurn.turnNum;
+
+  return (t) => {
+    if (turnIds.has(t.turnId)) return t.turnId;
+    const msgs = t.msgs || [];
+    for (const m of msgs) {
+      if (m.msgId && idTurn.has(m.msgId)) return idTurn.get(m.msgId);
+    }
+    if (lastTurn && !isLater(t) && msgs.some((m) => !m.msgId && lastKeys.has(messageKey(m)))) {
+      return lastTurn.turnId;
+    }
+    return null;
+  };
+}
+
+/**
+ * Append a fresh harvest (sorted turns, possibly only the end of the chat) to
+ * an archive without renumbering it. Archived messages keep their counters;
+ * turns that follow the archive's last turn, and new messages of that last
+ * turn, are numbered after them. Anything earlier is left out, since placing
+ * it would shift every index after it: new messages in earlier archived
+ * turns, new versions (alternates) of any archived turn, and turns the
+ * archive lacks whose turnNum is at or below its last turn's (missed by the
+ * previous export), all their messages. They are counted as skipped; the
+ * turns they belong to are listed in skippedTurnNums (by turn id when a turn
+ * has no number). Archived alternates stay on the message they are versions
+ * of, also when the last turn gets new messages after it.
+ *
+ * Returns { turnsSorted, numbered, added: { turns, messages }, skipped,
+ * skippedTurnNums } ready for buildArchive() / rendering.
+ */
+function appendToArchive(archive, harvested, { source = null } = {}) {
+  const archived = archiveMessages(archive);
+  const archivedKeys = new Map(
+    archive.turns.map((t) => [
+      t.turnId,
+      new Set([...t.messages, ...(t.alternates || []).flatMap((a) => a.messages)].map(messageKey)),
+    ])
+  );
+  const archivedTurnOf = archivedTurnMatcher(archive);
+  const lastTurn = archive.turns[archive.turns.length - 1];
+
+  const tail = lastTurn
+    ? {
+        turnId: lastTurn.turnId,
+        turnNum: lastTurn.turnNum,
+        ...(lastTurn.version ? { version: lastTurn.version } : {}),
+        msgs: [],
+      }
+    : null;
+  const fresh = [];
+  const skippedTurnNums = [];
+  let skipped = 0;
+  const skip = (turnNum, n) => {
+    skipped += n;
+    if (!skippedTurnNums.includes(turnNum)) skippedTurnNums.push(turnNum);
+  };
+
+  // A turn the archive lacks but numbered before its end was missed, not new
+  const isEarlier = (t) => tail && tail.turnNum != null && t.turnNum != null && t.turnNum <= tail.turnNum;
+
+  for (const t of harvested) {
+    const turnId = archivedTurnOf(t);
+    if (!turnId && isEarlier(t)) {
+      skip(t.turnNum, t.msgs.length);
+      continue;
+    }
+    if (!turnId) {
+      fresh.push({ ...t, firstSeen: archive.turns.length + fresh.length });
+      continue;
+    }
+    const known = archivedKeys.get(turnId);
+    const isNew = (m) => !known.has(messageKey(m));
+    const msgs = t.msgs.filter(isNew);
+    // New versions of an archived turn are reported, not merged into it
+    const alternates = (t.alternates || []).flatMap((a) => a.msgs).filter(isNew);
+    const archivedTurn = archive.turns.find((a) => a.turnId === turnId);
+    if (tail && turnId === tail.turnId) {
+      tail.msgs.push(...msgs);
+      if (alternates.length) skip(archivedTurn.turnNum ?? turnId, alternates.length);
+    } else if (msgs.length || alternates.length) {
+      skip(archivedTurn.turnNum ?? turnId, msgs.length + alternates.length);
+    }
+  }
+
+  // Number the new part on its own, then shift it behind the archive
+  const last = archived[archived.length - 1];
+  const base = {
+    global: last ? last.globalIdx : 0,
+    user: last ? last.userCountSoFar : 0,
+    assistant: last ? last.assistantCountSoFar : 0,
+    alt: Math.max(
+      0,
+      ...archive.turns.flatMap((t) => (t.alternates || []).flatMap((a) => a.messages.map((m) => m.altIdx || 0)))
+    ),
+  };
+  const shift = (n, by) => (n == null ? n : n + by);
+  const appended = numberTurns(tail && tail.msgs.length ? [tail, ...fresh] : fresh).map((m) => ({
+    ...m,
+    globalIdx: m.globalIdx + base.global,
+    userIdx: shift(m.userIdx, base.user),
+    assistantIdx: shift(m.assistantIdx, base.assistant),
+    userCountSoFar: m.userCountSoFar + base.user,
+    assistantCountSoFar: m.assistantCountSoFar + base.assistant,
+    ...(m.alternates
+      ? {
+          alternates: m.alternates.map((a) => ({
+            ...a,
+            messages: a.messages.map((x) => ({ ...x, altIdx: shift(x.altIdx, base.alt) })),
+          })),
+        }
+      : {}),
+  }));
+
+  const turnsSorted = [
+    ...archive.turns.map((t) => ({
+      ...t,
+      sources:
+        source && t === lastTurn && tail.msgs.length
+          ? Array.from(new Set([...(t.sources || []), source]))
+          : t.sources,
+    })),
+    ...fresh,
+  ];
+
+  return {
+    turnsSorted,
+    numbered: [...archived, ...appended],
+    added: { turns: fresh.length, messages: appended.length },
+    skipped,
+    skippedTurnNums,
+  };
+}
+
+// "out.pdf" -> "out.json"
+function archivePathFor(outPdf) {
+  return outPdf.replace(/\.pdf$/i, "") + ".json";
+}
+
+function writeArchive(file, archive) {
+  fs.writeFileSync(file, JSON.stringify(archive, null, 2), "utf8");
+}
+
+function readArchive(file) {
+  const archive = JSON.parse(fs.readFileSync(file, "utf8"));
+
+  if (!archive || archive.format !== ARCHIVE_FORMAT) {
+    throw new Error(`Not a dehydrated chat archive: ${file}`);
+  }
+  if (archive.version > ARCHIVE_VERSION) {
+    throw new Error(
+      `Archive version ${archive.version} is newer than supported (${ARCHIVE_VERSION}): ${file}`
+    );
+  }
+  if (!Array.isArray(archive.turns)) {
+    throw new Error(`Archive has no turns array: ${file}`);
+  }
+  return archive;
+}
+
+module.exports = {
+  ARCHIVE_FORMAT,
+  ARCHIVE_VERSION,
+  numberTurns,
+  buildArchive,
+  archiveMessages,
+  archivedTurnMatcher,
+  appendToArchive,
+  archivePathFor,
+  writeArchive,
+  readArchive,
+};
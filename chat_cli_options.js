@@ -0,0 +1,362 @@
+/**
+ * chat_cli_options.js
+ *
+ * Small option parser shared by the command-line scripts, with --help and an
+ * optional JSON config file for per-team defaults.
+ *
+ * Options are declared as data:
+ *   { flag: "--wait-ms", type: "int", default: 850, help: "..." }
+ *   type:    "boolean" | "string" | "number" | "int" | "size" ("8MB" -> bytes)
+ *   choices: allowed values (string options)
+ *   check:   extra validation of the value (throws on bad input)
+ *   key:     property name in the result (default: camelCase of the flag)
+ *   arg:     name of the value in --help (default: choices or type)
+ *
+ * Precedence (lowest first): option default, config file top level, config
+ * file section of the command ("reconstitute", "crop", ...), command line.
+ *
+ * Config file: --config file.json, else ./chat_export.config.json if present.
+ *   {
+ *     "paper": "Letter",
+ *     "margin": "10mm",
+ *     "reconstitute": { "harvest": "observe", "wait-ms": 600 },
+ *     "crop": { "count": "exchanges" }
+ *   }
+ * Keys are flag names without "--" (or their camelCase key). Top-level keys
+ * another command does not know are ignored; unknown keys inside a command's
+ * own section are an error.
+ *
+ * Booleans accept --flag, --flag=false and --no-flag (to undo a config default).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { THEME_NAMES } = require("./transcript_themes");
+const { DETECTOR_NAMES, REDACT_STYLES, parseDetectorList } = require("./transcript_redact");
+
+const DEFAULT_CONFIG_FILE = "chat_export.config.json";
+
+const PAPER_FORMATS = ["A3", "A4", "A5", "Letter", "Legal", "Tabloid"];
+
+// Paper / layout / output options shared by every script that prints a PDF
+const PDF_OPTIONS = [
+  { flag: "--paper", type: "string", default: "A4", choices: PAPER_FORMATS, help: "PDF paper size" },
+  { flag: "--landscape", type: "boolean", default: false, help: "Landscape PDF pages" },
+  {
+    flag: "--margin",
+    type: "string",
+    arg: "margins",
+    default: "12mm 12mm 18mm 12mm",
+    check: parseMargin,
+    help: 'PDF margins, CSS order ("12mm" or "top right bottom left"); keep room at the bottom for the page footer',
+  },
+  { flag: "--html-only", type: "boolean", default: false, help: "Write the HTML, skip the PDF" },
+  { flag: "--pdf-only", type: "boolean", default: false, help: "Write the PDF, skip the standalone HTML" },
+  { flag: "--out-dir", type: "string", arg: "dir", default: null, help: "Directory for all outputs (created if missing)" },
+  {
+    flag: "--header",
+    type: "string",
+    arg: "template",
+    default: null,
+    help: 'PDF page header, e.g. "{title}|{range} {keep}"; "none" for blank (placeholders: transcript_page_templates.js)',
+  },
+  {
+    flag: "--footer",
+    type: "string",
+    arg: "template",
+    default: null,
+    help: 'PDF page footer, e.g. "{source} · {date}|Page {page} / {pages}"; "none" for blank',
+  },
+  {
+    flag: "--timeout",
+    type: "int",
+    arg: "ms",
+    default: 0,
+    help: "Page load / PDF timeout in ms (0 = no limit)",
+  },
+];
+
+// Look of the rendered transcript (transcript_themes.js)
+const THEME_OPTIONS = [
+  { flag: "--theme", type: "string", default: "dark", choices: THEME_NAMES, help: "Transcript theme" },
+  { flag: "--css", type: "string", arg: "file", default: null, help: "Extra CSS file, applied after the theme" },
+];
+
+// Code blocks in the rendered transcript (transcript_code.js)
+const CODE_OPTIONS = [
+  { flag: "--highlight", type: "boolean", default: true, help: "Syntax-highlight code blocks (--no-highlight: plain)" },
+  { flag: "--line-numbers", type: "boolean", default: false, help: "Number the lines of code blocks" },
+  {
+    flag: "--code-wrap",
+    type: "boolean",
+    default: true,
+    help: "Soft-wrap long code lines instead of cutting them off (--no-code-wrap: keep them)",
+  },
+];
+
+// Masking of secrets / PII before anything is rendered (transcript_redact.js)
+const REDACT_OPTIONS = [
+  {
+    flag: "--redact",
+    type: "string",
+    arg: "detectors",
+    default: null,
+    check: parseDetectorList,
+    help: `Mask secrets / PII: all, or a list of ${DETECTOR_NAMES.join(",")}`,
+  },
+  { flag: "--redact-terms", type: "string", arg: "file", default: null, help: "Also mask these terms (one per line)" },
+  { flag: "--redact-patterns", type: "string", arg: "file", default: null, help: "Also mask these regexes (one per line)" },
+  { flag: "--redact-style", type: "string", default: "label", choices: REDACT_STYLES, help: "How masked values look" },
+  {
+    flag: "--redact-key",
+    type: "string",
+    arg: "secret",
+    default: null,
+    help: "Key of the hash style's tags, for the same tags across exports (default: random per run; keep it secret)",
+  },
+];
+
+const CONFIG_OPTION = {
+  flag: "--config",
+  type: "string",
+  arg: "file",
+  default: null,
+  help: `JSON config file with defaults (default: ./${DEFAULT_CONFIG_FILE} if present)`,
+};
+
+const HELP_OPTION = { flag: "--help", type: "boolean", default: false, help: "Show this help" };
+
+const camelCase = (s) => s.replace(/^--/, "").replace(/-([a-z0-9])/g, (_, c) => c.toUpperCase());
+const keyOf = (o) => o.key || camelCase(o.flag);
+
+// "8MB" / "500kb" / "1048576" -> bytes
+function parseByteSize(s) {
+  const m = String(s).trim().match(/^(\d+(?:\.\d+)?)\s*(b|kb|k|mb|m|gb|g)?$/i);
+  if (!m) throw new Error(`Invalid size "${s}" (expected e.g. 500KB, 8MB)`);
+  const unit = (m[2] || "b").toLowerCase()[0];
+  const mult = { b: 1, k: 1024, m: 1024 * 1024, g: 1024 * 1024 * 1024 }[unit];
+  return Math.round(Number(m[1]) * mult);
+}
+
+// "12mm" | "12mm 18mm" | "10mm 12mm 18mm" | "12mm 12mm 18mm 12mm" -> { top, right, bottom, left }
+function parseMargin(s) {
+  const parts = String(s).trim().split(/[\s,]+/).filter(Boolean);
+  if (!parts.length || parts.length > 4 || !parts.every((p) => /^\d+(\.\d+)?(mm|cm|in|px)?$/.test(p))) {
+    throw new Error(`Invalid --margin "${s}" (expected e.g. 12mm or "12mm 12mm 18mm 12mm")`);
+  }
+  const [top, right = top, bottom = top, left = right] = parts;
+  return { top, right, bottom, left };
+}
+
+function coerce(opt, raw, where) {
+  const fail = (expected) => {
+    throw new Error(`${opt.flag}${where}: expected ${expected}, got "${raw}"`);
+  };
+
+  switch (opt.type) {
+    case "boolean":
+      if (typeof raw === "boolean") return raw;
+      if (/^(true|yes|1)$/i.test(String(raw))) return true;
+      if (/^(false|no|0)$/i.test(String(raw))) return false;
+      return fail("true or false");
+    case "number": {
+      const n = Number(raw);
+      return raw === "" || Number.isNaN(n) ? fail("a number") : n;
+    }
+    case "int": {
+      const n = Number(raw);
+      return Number.isInteger(n) ? n : fail("an integer");
+    }
+    case "size":
+      return typeof raw === "number" ? raw : parseByteSize(raw);
+    default: {
+      const v = String(raw);
+      if (opt.check) opt.check(v);
+      if (!opt.choices) return v;
+      const choice = opt.choices.find((c) => c.toLowerCase() === v.toLowerCase());
+      return choice || fail(opt.choices.join(" | "));
+    }
+  }
+}
+
+function readConfig(file, explicit) {
+  if (!file) return {};
+  if (!fs.existsSync(file)) {
+    if (explicit) throw new Error(`Config file not found: ${file}`);
+    return {};
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`Cannot read config file ${file}: ${err.message}`);
+  }
+}
+
+/**
+ * Parse argv against spec { command, options }.
+ * Returns { opts, positional, configFile }; throws on bad input.
+ */
+function parseOptions(spec, argv = process.argv.slice(2)) {
+  const options = [...spec.options, CONFIG_OPTION, HELP_OPTION];
+  const byFlag = new Map(options.map((o) => [o.flag, o]));
+  const byName = new Map();
+  for (const o of options) {
+    byName.set(o.flag.slice(2), o);
+    byName.set(keyOf(o), o);
+  }
+
+  // 1. Command line (collected first: --config decides which file to read)
+  const cli = {};
+  const positional = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) {
+      positional.push(arg);
+      continue;
+    }
+
+    const eq = arg.indexOf("=");
+    const flag = eq === -1 ? arg : arg.slice(0, eq);
+    const inline = eq === -1 ? null : arg.slice(eq + 1);
+    let opt = byFlag.get(flag);
+
+    if (!opt && flag.startsWith("--no-")) {
+      opt = byFlag.get(`--${flag.slice(5)}`);
+      if (opt && opt.type === "boolean" && inline == null) {
+        cli[keyOf(opt)] = false;
+        continue;
+      }
+      opt = null;
+    }
+    if (!opt) throw new Error(`Unknown option ${flag}`);
+
+    if (opt.type === "boolean") {
+      cli[keyOf(opt)] = inline == null ? true : coerce(opt, inline, "");
+    } else {
+      const raw = inline != null ? inline : argv[++i];
+      if (raw == null) throw new Error(`${flag} needs a value`);
+      cli[keyOf(opt)] = coerce(opt, raw, "");
+    }
+  }
+
+  // 2. Config file: top level, then the command's own section
+  const explicit = cli.config != null;
+  const configFile = explicit
+    ? cli.config
+    : fs.existsSync(DEFAULT_CONFIG_FILE)
+    ? DEFAULT_CONFIG_FILE
+    : null;
+  const config = readConfig(configFile, explicit);
+
+  const fromConfig = {};
+  const apply = (obj, strict, where) => {
+    for (const [name, raw] of Object.entries(obj || {})) {
+      const opt = byName.get(name);
+      if (!opt || opt === CONFIG_OPTION || opt === HELP_OPTION) {
+        if (strict) throw new Error(`Unknown option "${name}"${where}`);
+        continue;
+      }
+      fromConfig[keyOf(opt)] = coerce(opt, raw, where);
+    }
+  };
+  const topLevel = Object.fromEntries(
+    Object.entries(config).filter(([, v]) => v === null || typeof v !== "object" || Array.isArray(v))
+  );
+  apply(topLevel, false, ` in ${configFile}`);
+  if (spec.command && config[spec.command]) {
+    apply(config[spec.command], true, ` in ${configFile} [${spec.command}]`);
+  }
+
+  // 3. Defaults < config < command line
+  const opts = {};
+  for (const o of options) opts[keyOf(o)] = o.default == null ? null : coerce(o, o.default, " (default)");
+  Object.assign(opts, fromConfig, cli);
+
+  if (opts.htmlOnly && opts.pdfOnly) {
+    throw new Error("--html-only and --pdf-only cannot be combined");
+  }
+
+  return { opts, positional, configFile };
+}
+
+function formatHelp(spec) {
+  const options = [...spec.options, CONFIG_OPTION, HELP_OPTION];
+  const label = (o) =>
+    o.type === "boolean" ? o.flag : `${o.flag} <${o.arg || (o.choices ? o.choices.join("|") : o.type)}>`;
+  const width = Math.min(32, Math.max(...options.map((o) => label(o).length)) + 2);
+
+  const lines = ["Usage:", ...spec.usage.map((u) => `  ${u}`), "", "Options:"];
+  for (const o of options) {
+    const def = o.default == null || o.default === false ? "" : ` (default: ${o.default})`;
+    const l = label(o);
+    // Long labels get the description on the next line
+    lines.push(l.length < width ? `  ${l.padEnd(width)}${o.help}${def}` : `  ${l}\n  ${" ".repeat(width)}${o.help}${def}`);
+  }
+  if (spec.command) {
+    lines.push(
+      "",
+      `Defaults can also come from a JSON config file (top level, or a "${spec.command}" section).`
+    );
+  }
+  return lines.join("\n");
+}
+
+/**
+ * parseOptions for a script's entry point: prints --help and exits 0, or
+ * prints the problem and exits 1.
+ */
+function parseCommandLine(spec) {
+  let parsed;
+  try {
+    parsed = parseOptions(spec);
+  } catch (err) {
+    console.error(`${err.message}\nRun with --help for the list of options.`);
+    process.exit(1);
+  }
+  if (parsed.opts.help) {
+    console.log(formatHelp(spec));
+    process.exit(0);
+  }
+  return parsed;
+}
+
+// Puppeteer page.pdf() page setup from the PDF_OPTIONS values
+function pdfSettings(opts) {
+  return {
+    format: opts.paper,
+    landscape: !!opts.landscape,
+    margin: parseMargin(opts.margin),
+    timeout: opts.timeout,
+  };
+}
+
+// Contents of --css (empty when not given)
+function readCssFile(file) {
+  if (!file) return "";
+  if (!fs.existsSync(file)) throw new Error(`CSS file not found: ${file}`);
+  return fs.readFileSync(file, "utf8");
+}
+
+// Output path inside --out-dir (if given); the directory is created
+function outputPath(file, outDir) {
+  if (!outDir) return file;
+  fs.mkdirSync(outDir, { recursive: true });
+  return path.join(outDir, path.basename(file));
+}
+
+module.exports = {
+  DEFAULT_CONFIG_FILE,
+  PAPER_FORMATS,
+  PDF_OPTIONS,
+  THEME_OPTIONS,
+  CODE_OPTIONS,
+  REDACT_OPTIONS,
+  readCssFile,
+  parseByteSize,
+  parseMargin,
+  parseOptions,
+  formatHelp,
+  parseCommandLine,
+  pdfSettings,
+  outputPath,
+};
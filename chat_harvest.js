@@ -0,0 +1,626 @@
+/**
+ * chat_harvest.js
+ *
+ * Harvesting half of the exporter: collects the mounted turns/messages of a
+ * loaded (virtualized) saved chat page into a turnMap while scrolling. Which
+ * elements are turns/messages comes from a source adapter (chat_adapters.js).
+ *
+ * Harvest modes:
+ *   - scroll:  fixed step (stepFrac) + fixed sleep (waitMs) per round, stops
+ *              after stallLimit rounds without new messages
+ *   - observe: MutationObserver-driven; moves on as soon as the page settles,
+ *              adapts the step size, and steps back when turn numbers get
+ *              skipped. Turn numbers that were never seen are reported.
+ *   - update:  (--update prev.json) starts at the bottom and scrolls up only
+ *              until a turn of the previous export is mounted; waits for the
+ *              page to settle like observe mode
+ *
+ * Several saved snapshots of one chat can share a turnMap; turns are merged by
+ * data-turn-id and messages by data-message-id (msgFallbackKey as fallback).
+ *
+ * Regenerated/edited turns: when the adapter finds the "2/3" navigator, the
+ * turn records its version. A snapshot showing a different version of the
+ * same turn (same id, or same turn number) adds it to the turn's alternates
+ * instead of mixing it into the main flow. A single page only mounts the
+ * version on screen, so alternates come from merging several snapshots.
+ */
+
+const { getAdapter } = require("./chat_adapters");
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+const SCROLL_DEFAULTS = {
+  stepFrac: 0.9,
+  waitMs: 850,
+  stallLimit: 26,
+};
+
+const OBSERVE_DEFAULTS = {
+  stepFrac: 0.9,        // starting step, in viewport heights
+  minStepFrac: 0.2,
+  maxStepFrac: 2.5,     // only used when turns carry numbers (skips are detectable)
+  quietMs: 200,         // no DOM mutations for this long = settled
+  settleTimeoutMs: 3000, // give up waiting for quiet after this long
+  stallLimit: 3,        // settled rounds at the bottom with nothing new
+};
+
+// Choose best scroll container (largest scrollHeight among plausible scrollers).
+async function findScroller(page) {
+  return page.evaluateHandle(() => {
+    const candidates = [
+      document.scrollingElement,
+      document.documentElement,
+      document.body,
+      ...Array.from(document.querySelectorAll("*")).filter((el) => {
+        const cs = getComputedStyle(el);
+        const oy = cs.overflowY;
+        return (
+          (oy === "auto" || oy === "scroll") &&
+          el.scrollHeight > el.clientHeight + 200
+        );
+      }),
+    ].filter(Boolean);
+
+    let best = candidates[0];
+    for (const el of candidates) {
+      if ((el.scrollHeight || 0) > (best?.scrollHeight || 0)) best = el;
+    }
+    return best || document.scrollingElement || document.documentElement;
+  });
+}
+
+async function isNearBottom(page, scroller) {
+  return page.evaluate((scroller) => {
+    const eps = 10;
+    return scroller.scrollTop + scroller.clientHeight >= scroller.scrollHeight - eps;
+  }, scroller);
+}
+
+function msgFallbackKey(m) {
+  const t = (m.text || "").trim();
+  const head = t.slice(0, 120);
+  const tail = t.length > 240 ? t.slice(-120) : "";
+  return `${(m.role || "").toLowerCase()}::${head}::${tail}`;
+}
+
+// Add msgs not yet in list (by msgId / fallback key); returns how many were new
+function mergeMsgs(list, msgs) {
+  let added = 0;
+  const existing = new Set(list.map((m) => m.msgId || msgFallbackKey(m)));
+
+  for (const m of msgs) {
+    const k = m.msgId || msgFallbackKey(m);
+    if (!existing.has(k)) {
+      list.push(m);
+      existing.add(k);
+      added++;
+    } else {
+      // Merge newly found files
+      const found = list.find((x) => (x.msgId || msgFallbackKey(x)) === k);
+      if (found) {
+        found.files = Array.from(new Set([...(found.files || []), ...(m.files || [])]));
+      }
+    }
+  }
+  return added;
+}
+
+/**
+ * Harvester bound to one page. harvestMountedTurns() merges whatever is
+ * currently mounted into turnMap and returns how many turns/messages were new.
+ *
+ * Pass a shared turnMap to merge several snapshots of the same chat; each
+ * turn then lists the snapshot names (source) it was seen in.
+ *
+ * adapter (chat_adapters.js) describes where turns, roles, ids, content and
+ * attachments live for the page's chat UI; defaults to ChatGPT.
+ */
+function createHarvester(
+  page,
+  { turnMap = new Map(), source = null, adapter = getAdapter("chatgpt") } = {}
+) {
+  // turnMap: turnId -> { turnId, turnNum, firstSeen, sources: [], msgs: [],
+  //                     version?: { index, count }, alternates?: [{ version, msgs }] }
+
+  async function harvestMountedTurns() {
+    const turns = await page.evaluate((A) => {
+      const uniq = (arr) => Array.from(new Set(arr.filter(Boolean)));
+
+      const basename = (s) => {
+        try {
+          if (!s) return "";
+          const noHash = s.split("#")[0];
+          const noQuery = noHash.split("?")[0];
+          const parts = noQuery.split("/");
+          return parts[parts.length - 1] || "";
+        } catch {
+          return "";
+        }
+      };
+
+      const looksLikeFilename = (s) => {
+        if (!s) return false;
+        const t = s.trim();
+        if (t.length < 3 || t.length > 180) return false;
+        if (!t.includes(".")) return false;
+        if (t.startsWith("http://") || t.startsWith("https://")) {
+          return /\.[a-z0-9]{1,8}$/i.test(basename(t));
+        }
+        return /\.[a-z0-9]{1,8}$/i.test(t);
+      };
+
+      const extractFilesFromMessageNode = (n) => {
+        const files = [];
+
+        // Links (attachment chips / downloads / normal anchors)
+        const links = Array.from(n.querySelectorAll("a[href]"));
+        for (const a of links) {
+          const txt = (a.textContent || "").trim();
+          const href = a.getAttribute("href") || "";
+          const dl = (a.getAttribute("download") || "").trim();
+
+          if (looksLikeFilename(dl)) files.push(dl);
+          if (looksLikeFilename(txt)) files.push(txt);
+
+          const bn = basename(href);
+          if (looksLikeFilename(bn)) files.push(bn);
+        }
+
+        // Images (we'll strip them in render but keep names)
+        const imgs = Array.from(n.querySelectorAll("img"));
+        for (const img of imgs) {
+          const alt = (img.getAttribute("alt") || "").trim();
+          const title = (img.getAttribute("title") || "").trim();
+          const aria = (img.getAttribute("aria-label") || "").trim();
+          const src = img.getAttribute("src") || "";
+
+          if (looksLikeFilename(alt)) files.push(alt);
+          if (looksLikeFilename(title)) files.push(title);
+          if (looksLikeFilename(aria)) files.push(aria);
+
+          const bn = basename(src);
+          if (looksLikeFilename(bn)) files.push(bn);
+          else if (bn) files.push(bn);
+        }
+
+        // Titles / aria-labels (sometimes filenames are stored there)
+        const titled = Array.from(n.querySelectorAll("[title],[aria-label]"));
+        for (const el of titled) {
+          const t = (el.getAttribute("title") || "").trim();
+          const a = (el.getAttribute("aria-label") || "").trim();
+          if (looksLikeFilename(t)) files.push(t);
+          if (looksLikeFilename(a)) files.push(a);
+        }
+
+        const cleaned = uniq(files)
+          .map((f) => f.trim())
+          .filter((f) => f && f !== "Image" && f !== "image" && f !== "file");
+
+        return cleaned;
+      };
+
+      // innerHTML that still makes sense after the page is gone:
+      //  - absolute image URLs, so images can be found again (image policy, archive)
+      //  - KaTeX formulas reduced to their TeX source (transcript_math.js
+      //    typesets them again); KaTeX's visual spans need its CSS and fonts
+      const portableHtml = (el) => {
+        const katex = el.querySelector(".katex");
+        if (!el.querySelector("img[src]") && !katex) return el.innerHTML;
+        const copy = el.cloneNode(true);
+        for (const img of Array.from(copy.querySelectorAll("img[src]"))) {
+          try {
+            img.setAttribute("src", new URL(img.getAttribute("src"), document.baseURI).href);
+          } catch {
+            // leave unparsable src as-is
+          }
+        }
+        for (const k of Array.from(copy.querySelectorAll(".katex"))) {
+          const tex = k.querySelector("annotation[encoding='application/x-tex']");
+          if (!tex || !copy.contains(k)) continue;
+          const display = k.closest(".katex-display");
+          const span = document.createElement("span");
+          span.className = "math-tex";
+          span.setAttribute("data-display", display ? "true" : "false");
+          span.textContent = tex.textContent.trim();
+          (display || k).replaceWith(span);
+        }
+        return copy.innerHTML;
+      };
+
+      // Attribute readers: [{ attr, pattern }] -> first (captured) value
+      const readAttr = (el, readers) => {
+        for (const r of readers || []) {
+          const v = el.getAttribute(r.attr);
+          if (v == null || v === "") continue;
+          if (!r.pattern) return v;
+          const m = v.match(new RegExp(r.pattern));
+          if (m) return m[1];
+        }
+        return "";
+      };
+
+      const ROLE_ALIASES = {
+        human: "user",
+        you: "user",
+        model: "assistant",
+        ai: "assistant",
+        bot: "assistant",
+        gpt: "assistant",
+        chatgpt: "assistant",
+        claude: "assistant",
+        gemini: "assistant",
+        copilot: "assistant",
+      };
+
+      const roleOf = (n) => {
+        const r = A.role || {};
+        for (const attr of r.attrs || []) {
+          const raw = (n.getAttribute(attr) || "").toLowerCase();
+          if (!raw) continue;
+          const mapped = (r.map && r.map[raw]) || raw;
+          return ROLE_ALIASES[mapped] || mapped;
+        }
+        for (const [role, sel] of Object.entries(A.roles || {})) {
+          if (n.matches(sel) || n.querySelector(sel)) return role;
+        }
+        return "";
+      };
+
+      // Drop matches nested inside another match (outermost node wins)
+      const outermost = (els) => els.filter((e) => !els.some((o) => o !== e && o.contains(e)));
+
+      // Stable id for turns the source does not label (used for de-duping)
+      const hashId = (s) => {
+        let h = 5381;
+        for (let i = 0; i < s.length; i++) h = ((h << 5) + h + s.charCodeAt(i)) | 0;
+        return (h >>> 0).toString(36);
+      };
+
+      // "2/3" navigator of a regenerated/edited turn -> { index: 2, count: 3 }
+      const readVersion = (t) => {
+        for (const sel of A.versions || []) {
+          for (const el of Array.from(t.querySelectorAll(sel))) {
+            const m = (el.textContent || "").match(/^\s*(\d+)\s*\/\s*(\d+)\s*$/);
+            if (m && Number(m[2]) > 1) return { index: Number(m[1]), count: Number(m[2]) };
+          }
+        }
+        return null;
+      };
+
+      // No turn containers (or none in this save): every message is its own turn
+      const useTurns = !!(A.turn && document.querySelector(A.turn));
+      const turnEls = useTurns
+        ? Array.from(document.querySelectorAll(A.turn))
+        : outermost(Array.from(document.querySelectorAll(A.message)));
+
+      return turnEls
+        .map((t) => {
+          const turnNumRaw = readAttr(t, A.turnNum);
+          const turnNum = turnNumRaw !== "" ? Number(turnNumRaw) : null;
+
+          const msgEls =
+            useTurns && A.message
+              ? t.matches(A.message)
+                ? [t]
+                : outermost(Array.from(t.querySelectorAll(A.message)))
+              : [t];
+
+          const msgs = msgEls
+            .map((n) => {
+              const role = roleOf(n);
+
+              let md = null;
+              for (const sel of A.content || []) {
+                md = n.matches(sel) ? n : n.querySelector(sel);
+                if (md) break;
+              }
+
+              const html = md ? portableHtml(md) : "";
+              const text = (n.innerText || "").trim();
+              const msgId = readAttr(n, A.msgId);
+              const files = extractFilesFromMessageNode(n);
+
+              return { msgId, role, html, text, files };
+            })
+            .filter((m) => m.role && (m.html || m.text || (m.files && m.files.length)));
+
+          // Attachment chips that live in the turn but outside the message nodes
+          for (const sel of A.attachments || []) {
+            for (const el of Array.from(t.querySelectorAll(sel))) {
+              if (msgEls.some((n) => n.contains(el)) || !msgs.length) continue;
+              const own = [el.getAttribute("title"), el.getAttribute("aria-label")]
+                .map((x) => (x || "").trim())
+                .filter(looksLikeFilename);
+              msgs[0].files = uniq([...msgs[0].files, ...own, ...extractFilesFromMessageNode(el)]);
+            }
+          }
+
+          const turnId =
+            readAttr(t, A.turnId) ||
+            (msgs.length
+              ? `auto:${hashId(msgs.map((m) => `${m.role}::${m.text}`).join("\n"))}`
+              : "");
+
+          return { turnId, turnNum, version: readVersion(t), msgs };
+        })
+        .filter((x) => x.turnId && x.msgs.length);
+    }, adapter);
+
+    let newStuff = 0;
+
+    for (const t of turns) {
+      // Another version of a turn we already have: the navigator shows a
+      // different index, possibly under a different turn id
+      const sameNum = (e) =>
+        e.version && t.turnNum != null && !Number.isNaN(t.turnNum) && e.turnNum === t.turnNum;
+      const known =
+        turnMap.get(t.turnId) ||
+        (t.version ? Array.from(turnMap.values()).find(sameNum) : null);
+
+      if (!known) {
+        turnMap.set(t.turnId, {
+          turnId: t.turnId,
+          turnNum: t.turnNum,
+          firstSeen: turnMap.size,
+          sources: [],
+          msgs: [],
+          ...(t.version ? { version: t.version, alternates: [] } : {}),
+        });
+        newStuff++;
+      }
+
+      const entry = known || turnMap.get(t.turnId);
+
+      if (source && !entry.sources.includes(source)) entry.sources.push(source);
+
+      if (entry.turnNum == null && t.turnNum != null && !Number.isNaN(t.turnNum)) {
+        entry.turnNum = t.turnNum;
+      }
+
+      if (t.version && !entry.version) {
+        entry.version = t.version;
+        entry.alternates = [];
+      }
+
+      // The version seen first stays in the main flow; others become alternates
+      if (t.version && t.version.index !== entry.version.index) {
+        entry.version.count = Math.max(entry.version.count, t.version.count);
+        let alt = entry.alternates.find((a) => a.version === t.version.index);
+        if (!alt) {
+          alt = { version: t.version.index, msgs: [] };
+          entry.alternates.push(alt);
+        }
+        newStuff += mergeMsgs(alt.msgs, t.msgs);
+        continue;
+      }
+
+      newStuff += mergeMsgs(entry.msgs, t.msgs);
+    }
+
+    return newStuff;
+  }
+
+  return { turnMap, harvestMountedTurns };
+}
+
+// Order turns: prefer numeric data-turn; fallback to firstSeen
+function sortTurns(turnMap) {
+  return Array.from(turnMap.values()).sort((a, b) => {
+    const an = a.turnNum;
+    const bn = b.turnNum;
+    const aHas = an != null && !Number.isNaN(an);
+    const bHas = bn != null && !Number.isNaN(bn);
+    if (aHas && bHas) return an - bn;
+    if (aHas && !bHas) return -1;
+    if (!aHas && bHas) return 1;
+    return a.firstSeen - b.firstSeen;
+  });
+}
+
+// Turn numbers between the lowest and highest seen that never showed up
+function missingTurnNumbers(turnMap) {
+  const seen = new Set();
+  for (const t of turnMap.values()) {
+    if (t.turnNum != null && !Number.isNaN(t.turnNum)) seen.add(t.turnNum);
+  }
+  if (!seen.size) return [];
+
+  const nums = Array.from(seen);
+  const lo = Math.min(...nums);
+  const hi = Math.max(...nums);
+  const missing = [];
+  for (let n = lo; n <= hi; n++) if (!seen.has(n)) missing.push(n);
+  return missing;
+}
+
+// [3,4,5,9] -> "3-5, 9"
+function formatNumberRanges(nums) {
+  const out = [];
+  const sorted = Array.from(new Set(nums)).sort((a, b) => a - b);
+  for (let i = 0; i < sorted.length; i++) {
+    const start = sorted[i];
+    while (sorted[i + 1] === sorted[i] + 1) i++;
+    out.push(start === sorted[i] ? `${start}` : `${start}-${sorted[i]}`);
+  }
+  return out.join(", ");
+}
+
+// Classic mode: fixed step + fixed sleep
+async function scrollHarvest(page, scroller, harvester, tunables = {}) {
+  const { stepFrac, waitMs, stallLimit } = { ...SCROLL_DEFAULTS, ...tunables };
+
+  // Start at top
+  await page.evaluate((scroller) => {
+    scroller.scrollTop = 0;
+  }, scroller);
+  await sleep(waitMs);
+
+  // Initial harvest
+  await harvester.harvestMountedTurns();
+
+  // Scroll + harvest loop
+  let stall = 0;
+  while (stall < stallLimit) {
+    const added = await harvester.harvestMountedTurns();
+    if (added === 0) stall++;
+    else stall = 0;
+
+    if ((await isNearBottom(page, scroller)) && stall >= 3) {
+      await harvester.harvestMountedTurns();
+      break;
+    }
+
+    await page.evaluate(
+      (scroller, frac) => {
+        const step = Math.floor(window.innerHeight * frac);
+        scroller.scrollTop = Math.min(scroller.scrollTop + step, scroller.scrollHeight);
+      },
+      scroller,
+      stepFrac
+    );
+
+    await sleep(waitMs);
+  }
+
+  return { missingTurnNums: missingTurnNumbers(harvester.turnMap) };
+}
+
+// Track DOM mutations in the page; lastMutation is what "settled" is measured against
+async function installMutationWatch(page) {
+  await page.evaluate(() => {
+    if (window.__harvestWatch) return;
+    const state = { lastMutation: Date.now() };
+    new MutationObserver(() => {
+      state.lastMutation = Date.now();
+    }).observe(document.documentElement, {
+      childList: true,
+      subtree: true,
+      characterData: true,
+    });
+    window.__harvestWatch = state;
+  });
+}
+
+async function waitForSettle(page, { quietMs, settleTimeoutMs }) {
+  try {
+    await page.waitForFunction(
+      (quietMs) => Date.now() - window.__harvestWatch.lastMutation >= quietMs,
+      { polling: 50, timeout: settleTimeoutMs },
+      quietMs
+    );
+  } catch (err) {
+    // Still churning: harvest what is mounted and move on
+    if (!err || err.name !== "TimeoutError") throw err;
+  }
+}
+
+// Scroll by frac viewports (negative = up); returns { before, after } scrollTop
+async function scrollBy(page, scroller, frac) {
+  return page.evaluate(
+    (scroller, frac) => {
+      const before = scroller.scrollTop;
+      const step = Math.max(1, Math.floor(window.innerHeight * Math.abs(frac)));
+      const target = frac < 0 ? before - step : before + step;
+      scroller.scrollTop = Math.max(0, Math.min(target, scroller.scrollHeight));
+      // Count the scroll itself as activity so we always wait for the re-render
+      window.__harvestWatch.lastMutation = Date.now();
+      return { before, after: scroller.scrollTop };
+    },
+    scroller,
+    frac
+  );
+}
+
+async function scrollTo(page, scroller, top) {
+  await page.evaluate(
+    (scroller, top) => {
+      scroller.scrollTop = top;
+      window.__harvestWatch.lastMutation = Date.now();
+    },
+    scroller,
+    top
+  );
+}
+
+// Mutation-driven mode: wait only until the page is quiet, adapt the step
+async function observeHarvest(page, scroller, harvester, tunables = {}) {
+  const t = { ...OBSERVE_DEFAULTS, ...tunables };
+
+  await installMutationWatch(page);
+  await scrollTo(page, scroller, 0);
+  await waitForSettle(page, t);
+  await harvester.harvestMountedTurns();
+
+  let frac = t.stepFrac;
+  let stall = 0;
+  const retried = new Set(); // missing turn numbers we already stepped back for
+
+  while (stall < t.stallLimit) {
+    const { before, after } = await scrollBy(page, scroller, frac);
+    await waitForSettle(page, t);
+    const added = await harvester.harvestMountedTurns();
+
+    // Skipped over turns: go back and redo this stretch with a smaller step
+    const gaps = missingTurnNumbers(harvester.turnMap).filter((n) => !retried.has(n));
+    if (gaps.length && frac > t.minStepFrac) {
+      for (const n of gaps) retried.add(n);
+      frac = Math.max(t.minStepFrac, frac / 2);
+      await scrollTo(page, scroller, before);
+      await waitForSettle(page, t);
+      await harvester.harvestMountedTurns();
+      continue;
+    }
+
+    // Without turn numbers skips are invisible, so never step past one viewport
+    const numbered = Array.from(harvester.turnMap.values()).some(
+      (x) => x.turnNum != null && !Number.isNaN(x.turnNum)
+    );
+    const cap = numbered ? t.maxStepFrac : Math.min(t.maxStepFrac, 0.95);
+
+    if (added > 0) frac = Math.min(cap, frac * 1.15);
+    else frac = Math.min(cap, frac * 1.5);
+
+    const stuck = after === before;
+    if (added === 0 && (stuck || (await isNearBottom(page, scroller)))) stall++;
+    else stall = 0;
+  }
+
+  return { missingTurnNums: missingTurnNumbers(harvester.turnMap) };
+}
+
+// Update mode: from the bottom up, until a turn isKnown() (already exported)
+async function updateHarvest(page, scroller, harvester, isKnown, tunables = {}) {
+  const t = { ...OBSERVE_DEFAULTS, ...tunables };
+
+  await installMutationWatch(page);
+  await scrollTo(page, scroller, Number.MAX_SAFE_INTEGER);
+  await waitForSettle(page, t);
+  await harvester.harvestMountedTurns();
+
+  let reachedKnown = false;
+  for (;;) {
+    reachedKnown = Array.from(harvester.turnMap.values()).some(isKnown);
+    if (reachedKnown) break;
+
+    const { before, after } = await scrollBy(page, scroller, -t.stepFrac);
+    if (after === before) break; // top of the chat: everything was new
+    await waitForSettle(page, t);
+    await harvester.harvestMountedTurns();
+  }
+
+  return { reachedKnown, missingTurnNums: missingTurnNumbers(harvester.turnMap) };
+}
+
+module.exports = {
+  SCROLL_DEFAULTS,
+  OBSERVE_DEFAULTS,
+  findScroller,
+  msgFallbackKey,
+  createHarvester,
+  sortTurns,
+  missingTurnNumbers,
+  formatNumberRanges,
+  scrollHarvest,
+  observeHarvest,
+  updateHarvest,
+};
@@ -0,0 +1,243 @@
+/**
+ * chat_library.js
+ *
+ * Index and search a directory of exported chats ("which conversation
+ * discussed X?"), used by search_chat_library.js.
+ *
+ * A library is a directory tree of:
+ *   - dehydrated JSON archives (chat_archive.js)
+ *   - transcript HTML (renderTranscriptHtml: exporter, rehydrator, importer,
+ *     cropper, viewer)
+ * One export leaves several copies of the same chat (out.json, out.html,
+ * out.viewer.html); only the first of those is indexed. Cropped transcripts
+ * have their own names and are indexed on their own. Other JSON / HTML files
+ * are skipped.
+ *
+ * The index (chat_library.index.json in the library) keeps each file's
+ * messages as { g: global index, r: role, i: per-role index, t: text };
+ * files are re-read only when their size or mtime changed. Alternates (other
+ * versions) are not indexed.
+ *
+ * Queries: words and "quoted phrases", case-insensitive substrings; a message
+ * is a hit when it contains all of them (any of them with { any: true }).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const cheerio = require("cheerio");
+const { readArchive, archiveMessages } = require("./chat_archive");
+const { readTranscriptMessages } = require("./transcript_crop");
+const { pageFields } = require("./transcript_page_templates");
+
+const INDEX_FORMAT = "chat-library-index";
+const INDEX_VERSION = 1;
+const INDEX_FILE = "chat_library.index.json";
+
+// Copies of one export, best source first
+const FAMILY_SUFFIXES = [".json", ".html", ".viewer.html"];
+
+// Never library content
+const SKIP_DIRS = new Set(["node_modules", ".git"]);
+
+const collapse = (s) => String(s || "").replace(/\s+/g, " ").trim();
+
+// "lib/chat.viewer.html" -> { base: "lib/chat", rank: 2 }
+function familyOf(file) {
+  for (let rank = FAMILY_SUFFIXES.length - 1; rank >= 0; rank--) {
+    const suffix = FAMILY_SUFFIXES[rank];
+    if (file.toLowerCase().endsWith(suffix)) return { base: file.slice(0, -suffix.length), rank };
+  }
+  return null;
+}
+
+// Library files (relative paths), one per export family
+function listLibraryFiles(dir) {
+  const found = [];
+  const walk = (rel) => {
+    for (const e of fs.readdirSync(path.join(dir, rel), { withFileTypes: true })) {
+      const p = rel ? path.join(rel, e.name) : e.name;
+      if (e.isDirectory()) {
+        if (!SKIP_DIRS.has(e.name) && !e.name.endsWith("_assets")) walk(p);
+      } else if (e.isFile() && familyOf(p) && e.name !== INDEX_FILE) {
+        found.push(p);
+      }
+    }
+  };
+  walk("");
+
+  const best = new Map();
+  for (const file of found) {
+    const { base, rank } = familyOf(file);
+    const prev = best.get(base);
+    if (!prev || rank < prev.rank) best.set(base, { file, rank });
+  }
+  return Array.from(best.values(), (b) => b.file).sort();
+}
+
+/**
+ * Index entry of one file: { kind, title, messages }, or { skip: reason }
+ * for files that are not transcripts.
+ */
+function readLibraryFile(file) {
+  if (/\.json$/i.test(file)) {
+    let archive;
+    try {
+      archive = readArchive(file);
+    } catch (err) {
+      return { skip: err.message };
+    }
+    const source = archive.source && archive.source.file;
+    return {
+      kind: "archive",
+      title: archive.title || (source || path.basename(file)).replace(/\.(html|json)$/i, ""),
+      messages: archiveMessages(archive).map((m) => ({
+        g: m.globalIdx,
+        r: (m.role || "").toLowerCase(),
+        i: m.role === "user" ? m.userIdx : m.assistantIdx,
+        t: collapse(m.text || (m.html ? cheerio.load(m.html, null, false).text() : "")),
+      })),
+    };
+  }
+
+  const html = fs.readFileSync(file, "utf8");
+  const messages = readTranscriptMessages(html)
+    .filter((m) => m.globalIdx != null)
+    .map((m) => ({ g: m.globalIdx, r: m.role, i: m.roleIdx, t: m.searchText }));
+  if (!messages.length) return { skip: "no transcript messages" };
+  return {
+    kind: "html",
+    title: pageFields(html).title || path.basename(file).replace(/\.html$/i, ""),
+    messages,
+  };
+}
+
+function readIndex(indexFile) {
+  try {
+    const index = JSON.parse(fs.readFileSync(indexFile, "utf8"));
+    if (index.format === INDEX_FORMAT && index.version === INDEX_VERSION && index.files) return index;
+  } catch {
+    // missing or unreadable: start over
+  }
+  return { format: INDEX_FORMAT, version: INDEX_VERSION, files: {} };
+}
+
+/**
+ * Bring the library index up to date and return it with what changed:
+ *   { index, stats: { files, transcripts, messages, updated, removed, skipped } }
+ * opts.indexFile: where to keep the index (default <dir>/chat_library.index.json)
+ * opts.rebuild:   re-read every file
+ */
+function updateLibraryIndex(dir, { indexFile = null, rebuild = false } = {}) {
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+    throw new Error(`Library directory not found: ${dir}`);
+  }
+  const file = indexFile || path.join(dir, INDEX_FILE);
+  const old = rebuild ? { files: {} } : readIndex(file);
+  const index = { format: INDEX_FORMAT, version: INDEX_VERSION, files: {} };
+  const stats = { files: 0, transcripts: 0, messages: 0, updated: 0, removed: 0, skipped: 0 };
+
+  for (const rel of listLibraryFiles(dir)) {
+    const st = fs.statSync(path.join(dir, rel));
+    const prev = old.files[rel];
+    let entry = prev;
+    if (!prev || prev.size !== st.size || prev.mtimeMs !== st.mtimeMs) {
+      entry = { size: st.size, mtimeMs: st.mtimeMs, ...readLibraryFile(path.join(dir, rel)) };
+      stats.updated++;
+    }
+    index.files[rel] = entry;
+    stats.files++;
+    if (entry.skip) stats.skipped++;
+    else {
+      stats.transcripts++;
+      stats.messages += entry.messages.length;
+    }
+  }
+  stats.removed = Object.keys(old.files).filter((rel) => !index.files[rel]).length;
+
+  if (stats.updated || stats.removed || rebuild) {
+    fs.writeFileSync(file, JSON.stringify(index), "utf8");
+  }
+  return { index, stats };
+}
+
+// 'redis "cluster failover"' -> ["redis", "cluster failover"]
+function parseQuery(query) {
+  const terms = [];
+  const re = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  let m;
+  while ((m = re.exec(query))) {
+    const t = collapse(m[1] ?? m[2] ?? m[3]).toLowerCase();
+    if (t) terms.push(t);
+  }
+  if (!terms.length) throw new Error("Empty query");
+  return terms;
+}
+
+// Text around the first hit, hits wrapped in «»
+function snippetOf(text, terms, width = 80) {
+  const lower = text.toLowerCase();
+  const first = Math.min(...terms.map((t) => lower.indexOf(t)).filter((i) => i >= 0));
+  const from = Math.max(0, first - Math.floor(width / 2));
+  const to = Math.min(text.length, first + width);
+  let s = text.slice(from, to);
+
+  const escaped = terms.map((t) => t.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+  s = s.replace(new RegExp(escaped.join("|"), "gi"), (hit) => `«${hit}»`);
+  return (from > 0 ? "…" : "") + s + (to < text.length ? "…" : "");
+}
+
+/**
+ * Hits of a query in an index, by file then global index:
+ *   [{ file, title, globalIdx, role, roleIdx, snippet }]
+ * opts: { any, role, transcript (part of the file path), width }
+ */
+function searchLibrary(index, query, { any = false, role = null, transcript = null, width = 80 } = {}) {
+  const terms = parseQuery(query);
+  const wanted = transcript && transcript.toLowerCase();
+  const hits = [];
+
+  for (const [file, entry] of Object.entries(index.files)) {
+    if (entry.skip) continue;
+    if (wanted && !file.toLowerCase().includes(wanted)) continue;
+
+    for (const m of entry.messages) {
+      if (role && m.r !== role) continue;
+      const lower = m.t.toLowerCase();
+      const ok = any ? terms.some((t) => lower.includes(t)) : terms.every((t) => lower.includes(t));
+      if (!ok) continue;
+      hits.push({
+        file,
+        title: entry.title,
+        globalIdx: m.g,
+        role: m.r,
+        roleIdx: m.i,
+        snippet: snippetOf(m.t, terms, width),
+      });
+    }
+  }
+  return hits.sort((a, b) => a.file.localeCompare(b.file) || a.globalIdx - b.globalIdx);
+}
+
+// [3, 4, 5, 9] -> "3-5,9" (--keep spec of Gleaning_ChatGPT_selections.js)
+function keepSpecFor(indexes, { paired = false } = {}) {
+  const nums = Array.from(new Set(indexes)).sort((a, b) => a - b);
+  const parts = [];
+  for (let i = 0; i < nums.length; i++) {
+    let j = i;
+    while (j + 1 < nums.length && nums[j + 1] === nums[j] + 1) j++;
+    parts.push(i === j ? `${nums[i]}` : `${nums[i]}-${nums[j]}`);
+    i = j;
+  }
+  return parts.map((p) => (paired ? `${p}+` : p)).join(",");
+}
+
+module.exports = {
+  INDEX_FILE,
+  listLibraryFiles,
+  readLibraryFile,
+  updateLibraryIndex,
+  parseQuery,
+  snippetOf,
+  searchLibrary,
+  keepSpecFor,
+};
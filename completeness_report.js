@@ -0,0 +1,141 @@
+/**
+ * completeness_report.js
+ *
+ * Sanity checks for a harvested conversation (beyond the old
+ * "Images generated ≈ User−Assistant" hint in the transcript header):
+ *   - missing turn numbers (gaps between the lowest and highest data-turn seen)
+ *   - orphan roles: user prompts with no assistant reply, and assistant
+ *     messages with no user prompt before them
+ *   - turns that carried no turn number at all
+ *   - suspected duplicates that got past msgFallbackKey (same role, same text)
+ *
+ * The report is printed to the console and embedded in the HTML header.
+ * With --strict the export fails when turn numbers are missing.
+ */
+
+const { missingTurnNumbers, formatNumberRanges } = require("./chat_harvest");
+const { escapeHtml } = require("./html_escape");
+
+// Short texts ("continue", "yes") repeat legitimately; don't flag those
+const DUPLICATE_MIN_CHARS = 20;
+
+const normalizeText = (s) => String(s || "").replace(/\s+/g, " ").trim().toLowerCase();
+
+/**
+ * turnsSorted: [{ turnId, turnNum }], numbered: flattened numbered messages.
+ */
+function buildCompletenessReport({ turnsSorted, numbered }) {
+  const missingTurnNums = missingTurnNumbers(turnsSorted);
+
+  const turnsWithoutNum = turnsSorted
+    .filter((t) => t.turnNum == null || Number.isNaN(t.turnNum))
+    .map((t) => t.turnId);
+
+  // Walk the flattened sequence: an exchange is a user message plus what follows it
+  const unansweredUser = [];
+  const unpromptedAssistant = [];
+  let openUser = null;
+  let answered = false;
+  for (const m of numbered) {
+    if (m.role === "user") {
+      if (openUser && !answered) unansweredUser.push(openUser.globalIdx);
+      openUser = m;
+      answered = false;
+    } else if (m.role === "assistant") {
+      if (!openUser) unpromptedAssistant.push(m.globalIdx);
+      else answered = true;
+    }
+  }
+  if (openUser && !answered) unansweredUser.push(openUser.globalIdx);
+
+  const byText = new Map();
+  for (const m of numbered) {
+    const text = normalizeText(m.text);
+    if (text.length < DUPLICATE_MIN_CHARS) continue;
+    const k = `${m.role}::${text}`;
+    if (!byText.has(k)) byText.set(k, []);
+    byText.get(k).push(m.globalIdx);
+  }
+  const suspectedDuplicates = Array.from(byText.values()).filter((g) => g.length > 1);
+
+  const issues =
+    (missingTurnNums.length ? 1 : 0) +
+    (unansweredUser.length ? 1 : 0) +
+    (unpromptedAssistant.length ? 1 : 0) +
+    (turnsWithoutNum.length ? 1 : 0) +
+    (suspectedDuplicates.length ? 1 : 0);
+
+  return {
+    ok: issues === 0,
+    issues,
+    missingTurnNums,
+    unansweredUser,
+    unpromptedAssistant,
+    turnsWithoutNum,
+    suspectedDuplicates,
+  };
+}
+
+// What --strict treats as a failed export
+function hasGaps(report) {
+  return report.missingTurnNums.length > 0;
+}
+
+const idxList = (idxs) => idxs.map((i) => `#${i}`).join(", ");
+
+// One line per finding; shared by the console and HTML output
+function reportLines(report) {
+  const lines = [];
+  if (report.missingTurnNums.length) {
+    lines.push(
+      `Missing turn numbers (${report.missingTurnNums.length}): ${formatNumberRanges(report.missingTurnNums)}`
+    );
+  }
+  if (report.unansweredUser.length) {
+    lines.push(
+      `User messages without an assistant reply (${report.unansweredUser.length}): ${idxList(report.unansweredUser)}`
+    );
+  }
+  if (report.unpromptedAssistant.length) {
+    lines.push(
+      `Assistant messages without a user prompt (${report.unpromptedAssistant.length}): ${idxList(report.unpromptedAssistant)}`
+    );
+  }
+  if (report.turnsWithoutNum.length) {
+    lines.push(`Turns without a turn number: ${report.turnsWithoutNum.length}`);
+  }
+  if (report.suspectedDuplicates.length) {
+    lines.push(
+      `Suspected duplicates (${report.suspectedDuplicates.length}): ` +
+        report.suspectedDuplicates.map((g) => g.map((i) => `#${i}`).join(" = ")).join("; ")
+    );
+  }
+  return lines;
+}
+
+function formatReportText(report) {
+  if (report.ok) return "Completeness: OK (no gaps, orphans or duplicates found)";
+  return [`Completeness: ${report.issues} issue(s)`, ...reportLines(report).map((l) => `  - ${l}`)].join("\n");
+}
+
+function renderReportHtml(report) {
+  if (!report) return "";
+  if (report.ok) {
+    return `<div class="report ok"><p class="reportTitle">Completeness: OK</p></div>`;
+  }
+  const items = reportLines(report)
+    .map((l) => `<li>${escapeHtml(l)}</li>`)
+    .join("");
+  return `
+      <div class="report warn">
+        <p class="reportTitle">Completeness: ${report.issues} issue(s)</p>
+        <ul class="reportList">${items}</ul>
+      </div>`;
+}
+
+module.exports = {
+  buildCompletenessReport,
+  hasGaps,
+  formatReportText,
+  renderReportHtml,
+};
@@ -0,0 +1,105 @@
+/**
+ * diff_chat_transcripts.js
+ *
+ * Purpose:
+ *   A chat went on after it was exported and got exported again: what
+ *   changed? Compares the two exports message by message (msgId, then
+ *   turnId, then content; see transcript_diff.js) and reports new, removed
+ *   and changed messages by their original global indexes.
+ *
+ *   Output:
+ *     - Text report (stdout)
+ *     - HTML diff view (optional, --html diff.html)
+ *     - Delta transcript with just the new messages (optional, --delta
+ *       delta.html), original counters + KEEP k/N like a Gleaning crop
+ *
+ * Usage:
+ *   node diff_chat_transcripts.js old.json new.json
+ *   node diff_chat_transcripts.js old.html new.html --html diff.html
+ *   node diff_chat_transcripts.js old.json new.json --html diff.html --full
+ *   node diff_chat_transcripts.js old.json new.json --delta delta.html
+ *   node diff_chat_transcripts.js old.json new.json --delta delta.html --count exchanges
+ *
+ * Notes:
+ *   - Either side can be a JSON archive or transcript HTML; archives are
+ *     rendered with the default options first.
+ *   - Global indexes are each export's own: a removed message is shown with
+ *     its old index, a changed one as "#98 (was #97)" when it moved.
+ *   - The report ends with the new messages as a --keep spec, for cropping
+ *     the new transcript with Gleaning_ChatGPT_selections.js yourself (e.g.
+ *     with --by-turn, or to a PDF).
+ */
+
+const fs = require("fs");
+const {
+  loadTranscriptHtml,
+  diffTranscripts,
+  formatDiffReport,
+  renderDiffHtml,
+  renderDeltaHtml,
+} = require("./transcript_diff");
+const { parseCommandLine, outputPath } = require("./chat_cli_options");
+
+const CLI = {
+  command: "diff",
+  usage: [
+    "node diff_chat_transcripts.js old.(json|html) new.(json|html) [options]",
+    "node diff_chat_transcripts.js old.json new.json --html diff.html --delta delta.html",
+  ],
+  options: [
+    { flag: "--html", type: "string", arg: "file", default: null, help: "Write an HTML diff view" },
+    { flag: "--full", type: "boolean", default: false, help: "Diff view: keep unchanged messages (dimmed)" },
+    {
+      flag: "--delta",
+      type: "string",
+      arg: "file",
+      default: null,
+      help: "Write a transcript of just the new messages (with KEEP k/N)",
+    },
+    {
+      flag: "--count",
+      type: "string",
+      default: "messages",
+      choices: ["messages", "exchanges"],
+      help: "What KEEP k/N counts in the delta transcript",
+    },
+    { flag: "--out-dir", type: "string", arg: "dir", default: null, help: "Directory for the outputs (created if missing)" },
+  ],
+};
+
+(async () => {
+  const { opts, positional } = parseCommandLine(CLI);
+  const [oldFile, newFile] = positional;
+
+  if (!oldFile || !newFile) {
+    console.error(`Usage:\n${CLI.usage.map((u) => `  ${u}`).join("\n")}\nRun with --help for the list of options.`);
+    process.exit(1);
+  }
+
+  const oldSide = loadTranscriptHtml(oldFile);
+  const newSide = loadTranscriptHtml(newFile);
+  const diff = diffTranscripts(oldSide.html, newSide.html);
+  const names = { oldName: oldSide.name, newName: newSide.name };
+
+  console.log(formatDiffReport(diff, names));
+
+  if (opts.html) {
+    const outHtml = outputPath(opts.html, opts.outDir);
+    fs.writeFileSync(outHtml, renderDiffHtml(oldSide.html, newSide.html, diff, { ...names, full: opts.full }), "utf8");
+    console.log(`Saved HTML diff → ${outHtml}`);
+  }
+
+  if (opts.delta) {
+    const delta = renderDeltaHtml(newSide.html, diff, { countBy: opts.count });
+    if (!delta) {
+      console.log("No new messages; delta transcript not written");
+    } else {
+      const outDelta = outputPath(opts.delta, opts.outDir);
+      fs.writeFileSync(outDelta, delta.html, "utf8");
+      console.log(`Saved delta transcript → ${outDelta} (${delta.kept} new messages)`);
+    }
+  }
+})().catch((err) => {
+  console.error("Diff failed:", err);
+  process.exit(1);
+});
@@ -0,0 +1,23 @@
+/**
+ * html_escape.js
+ *
+ * Escaping of text written into transcript HTML, shared by the renderers
+ * (transcript_render.js, transcript_code.js, transcript_math.js,
+ * transcript_page_templates.js and the scripts built on them) so the rules
+ * stay the same everywhere.
+ */
+
+// Element text
+const escapeHtml = (s) =>
+  String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+
+// Double-quoted attribute values
+const escapeAttr = (s) => escapeHtml(s).replace(/"/g, "&quot;");
+
+module.exports = {
+  escapeHtml,
+  escapeAttr,
+};
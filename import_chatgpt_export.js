@@ -0,0 +1,438 @@
+/**
+ * import_chatgpt_export.js
+ *
+ * Purpose:
+ *   Read ChatGPT's account data export (conversations.json) instead of a
+ *   "Save As" page. Every conversation there is a message tree; we walk it
+ *   along the current branch (current_node -> root) and produce the same
+ *   numbered message list the exporter renders, then write per conversation:
+ *     - JSON archive (same format as the exporter, see chat_archive.js)
+ *     - Transcript HTML
+ *     - Transcript PDF / Markdown (optional)
+ *
+ * Usage:
+ *   node import_chatgpt_export.js conversations.json --list
+ *   node import_chatgpt_export.js conversations.json out_dir --title "migration"
+ *   node import_chatgpt_export.js conversations.json out_dir --id 6789abcd-...
+ *   node import_chatgpt_export.js conversations.json out_dir --all --pdf --markdown
+ *   node import_chatgpt_export.js conversations.json out_dir --all --alternates appendix
+ *   node import_chatgpt_export.js conversations.json out_dir --all --theme chatgpt
+ *   node import_chatgpt_export.js conversations.json out_dir --all --pdf --paper Letter
+ *   node import_chatgpt_export.js --help
+ *
+ * Notes:
+ *   - --title matches a case-insensitive substring, so it can select several.
+ *   - Only what the ChatGPT UI shows is kept: user and assistant messages
+ *     addressed to the conversation. System prompts, hidden messages, tool
+ *     calls and tool output are skipped.
+ *   - Assistant messages are Markdown in the export; they are rendered to HTML
+ *     with marked so the transcript looks like a harvested one. Raw HTML in
+ *     them is shown as text, never passed through. User prompts stay plain
+ *     text, as ChatGPT shows them.
+ *   - Math in assistant messages (\(...\), \[...\], $...$, $$...$$; not in
+ *     code) becomes the harvester's TeX source spans before Markdown can eat
+ *     its backslashes, and is typeset with KaTeX like harvested math.
+ *   - Regenerated / edited messages keep their other versions as alternates
+ *     (first message of each other branch), shown per --alternates.
+ *   - Theme, code, paper / margin / header / footer options are shared with
+ *     the exporter; defaults can come from a config file ("import" section,
+ *     see chat_cli_options.js). The output directory can also be --out-dir.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { Marked } = require("marked");
+const { numberTurns, buildArchive, writeArchive } = require("./chat_archive");
+const {
+  RENDER_DEFAULTS,
+  ALTERNATES_MODES,
+  renderTranscriptHtml,
+  printTranscriptPdf,
+} = require("./transcript_render");
+const { renderTranscriptMarkdown } = require("./transcript_markdown");
+const { texSourceSpan } = require("./transcript_math");
+const { escapeHtml } = require("./html_escape");
+const { buildCompletenessReport, renderReportHtml } = require("./completeness_report");
+const {
+  PDF_OPTIONS,
+  THEME_OPTIONS,
+  CODE_OPTIONS,
+  readCssFile,
+  parseCommandLine,
+  pdfSettings,
+} = require("./chat_cli_options");
+
+const CLI = {
+  command: "import",
+  usage: [
+    "node import_chatgpt_export.js conversations.json --list",
+    'node import_chatgpt_export.js conversations.json out_dir (--title "text" | --id <conversation id> | --all) [options]',
+  ],
+  options: [
+    { flag: "--list", type: "boolean", default: false, help: "List the conversations (id, messages, title) and exit" },
+    { flag: "--title", type: "string", arg: "text", default: null, help: "Import conversations whose title contains this" },
+    { flag: "--id", type: "string", arg: "conversation id", default: null, help: "Import one conversation" },
+    { flag: "--all", type: "boolean", default: false, help: "Import every conversation" },
+    { flag: "--pdf", type: "boolean", default: false, help: "Also print a PDF per conversation" },
+    { flag: "--markdown", type: "boolean", default: false, help: "Also write a Markdown transcript per conversation" },
+    {
+      flag: "--alternates",
+      type: "string",
+      default: RENDER_DEFAULTS.alternates,
+      choices: ALTERNATES_MODES,
+      help: "Other versions of regenerated/edited messages",
+    },
+    {
+      flag: "--toc",
+      type: "boolean",
+      default: true,
+      help: "Table of contents and PDF bookmarks, one entry per user prompt (--no-toc: none)",
+    },
+    ...THEME_OPTIONS,
+    ...CODE_OPTIONS,
+    ...PDF_OPTIONS,
+  ],
+};
+
+// Math delimiters of the export's Markdown; the first match wins
+const INLINE_MATH = [
+  { re: /^\$\$([\s\S]+?)\$\$/, display: true },
+  { re: /^\\\[([\s\S]+?)\\\]/, display: true },
+  { re: /^\\\(([\s\S]+?)\\\)/, display: false },
+  // $x$: no space just inside the dollars, no word after ("$5 and $10" is money)
+  { re: /^\$(?![\s$])((?:\\\$|[^$\n])*?[^\s\\$])\$(?![\w$])/, display: false },
+];
+const BLOCK_MATH = [/^ {0,3}\$\$([\s\S]+?)\$\$[ \t]*(?:\n+|$)/, /^ {0,3}\\\[([\s\S]+?)\\\][ \t]*(?:\n+|$)/];
+
+// marked extensions turning math into TeX source spans (code spans and blocks
+// are consumed whole before their contents are reached, so code keeps its $)
+const MATH_EXTENSIONS = [
+  {
+    name: "blockMath",
+    level: "block",
+    start: (src) => src.match(/^ {0,3}(\$\$|\\\[)/m)?.index,
+    tokenizer(src) {
+      for (const re of BLOCK_MATH) {
+        const m = re.exec(src);
+        if (m) return { type: "blockMath", raw: m[0], tex: m[1].trim(), display: true };
+      }
+      return undefined;
+    },
+    renderer: (token) => `${texSourceSpan(token)}\n`,
+  },
+  {
+    name: "inlineMath",
+    level: "inline",
+    start: (src) => src.match(/\\[([]|\$/)?.index,
+    tokenizer(src) {
+      for (const { re, display } of INLINE_MATH) {
+        const m = re.exec(src);
+        if (m) return { type: "inlineMath", raw: m[0], tex: m[1].trim(), display };
+      }
+      return undefined;
+    },
+    renderer: (token) => texSourceSpan(token),
+  },
+];
+
+// Markdown -> HTML; raw HTML in a message is text, and script URLs are not links
+const markdown = new Marked({
+  extensions: MATH_EXTENSIONS,
+  renderer: {
+    html: ({ text }) => escapeHtml(text),
+  },
+  walkTokens(token) {
+    if ((token.type === "link" || token.type === "image") && /^\s*(javascript|vbscript):/i.test(token.href)) {
+      token.href = "#";
+    }
+  },
+});
+
+const conversationId = (c) => c.conversation_id || c.id || "";
+
+// Current branch, root first: follow parent links up from current_node
+function currentBranch(conv) {
+  const mapping = conv.mapping || {};
+  const branch = [];
+  const seen = new Set();
+
+  let id = conv.current_node;
+  if (!id || !mapping[id]) {
+    // No current_node: take the last leaf in mapping order
+    const leaves = Object.values(mapping).filter((n) => !(n.children || []).length);
+    id = leaves.length ? leaves[leaves.length - 1].id : null;
+  }
+
+  while (id && mapping[id] && !seen.has(id)) {
+    seen.add(id);
+    branch.push(mapping[id]);
+    id = mapping[id].parent;
+  }
+  return branch.reverse();
+}
+
+// Markdown text of a message (text / multimodal_text / code parts)
+function messageText(msg) {
+  const c = msg.content || {};
+
+  if (c.content_type === "code") {
+    const lang = c.language && c.language !== "unknown" ? c.language : "";
+    return "```" + lang + "\n" + (c.text || "") + "\n```";
+  }
+
+  if (typeof c.text === "string" && !Array.isArray(c.parts)) return c.text;
+
+  return (c.parts || [])
+    .filter((p) => typeof p === "string")
+    .join("\n\n")
+    .trim();
+}
+
+function messageFiles(msg) {
+  const files = [];
+  for (const a of (msg.metadata && msg.metadata.attachments) || []) {
+    if (a && a.name) files.push(a.name);
+  }
+  for (const p of (msg.content && msg.content.parts) || []) {
+    if (p && typeof p === "object" && p.asset_pointer) {
+      const name = (p.metadata && p.metadata.dalle && p.metadata.dalle.gen_id) || p.asset_pointer;
+      files.push(String(name).split("/").pop());
+    }
+  }
+  return Array.from(new Set(files));
+}
+
+// Is this node something the ChatGPT UI shows in the conversation?
+function isVisible(msg) {
+  if (!msg || !msg.author) return false;
+  const role = msg.author.role;
+  if (role !== "user" && role !== "assistant") return false;
+  if (msg.recipient && msg.recipient !== "all") return false; // tool call
+  if (msg.metadata && msg.metadata.is_visually_hidden_from_conversation) return false;
+  return true;
+}
+
+// Message shape shared by the main flow and alternates. User prompts get no
+// html, so they render as plain text like harvested ones.
+function toMessage(node) {
+  const msg = node.message;
+  const role = msg.author.role;
+  const text = messageText(msg);
+  return {
+    msgId: msg.id || node.id,
+    role,
+    html: text && role === "assistant" ? markdown.parse(text) : "",
+    text,
+    files: messageFiles(msg),
+  };
+}
+
+const hasContent = (m) => !!(m.text || m.files.length);
+
+// First visible message at or below node, following the newest child
+function firstVisibleFrom(mapping, node) {
+  const seen = new Set();
+  while (node && !seen.has(node.id)) {
+    seen.add(node.id);
+    if (isVisible(node.message) && hasContent(toMessage(node))) return node;
+    const children = node.children || [];
+    node = mapping[children[children.length - 1]];
+  }
+  return null;
+}
+
+/**
+ * Versions of a branch message: the last node with several children between
+ * the previous visible message and this one is where "regenerate" / "edit"
+ * forked. Each sibling branch is one version (in creation order); the one on
+ * the current branch is the chosen version, the others become alternates
+ * holding the first visible message of their branch.
+ */
+function branchVersions(mapping, segment) {
+  for (let i = segment.length - 2; i >= 0; i--) {
+    const children = segment[i].children || [];
+    if (children.length < 2) continue;
+
+    const versions = children
+      .map((id) => ({ id, node: firstVisibleFrom(mapping, mapping[id]) }))
+      .filter((v) => v.node);
+    const index = versions.findIndex((v) => v.id === segment[i + 1].id) + 1;
+    if (versions.length < 2 || index === 0) return null;
+
+    return {
+      version: { index, count: versions.length },
+      alternates: versions
+        .map((v, j) => ({ version: j + 1, msgs: [toMessage(v.node)] }))
+        .filter((a) => a.version !== index),
+    };
+  }
+  return null;
+}
+
+/**
+ * One turn per visible message node, in branch order, shaped like the
+ * harvester's turnMap entries so numberTurns() numbers them the same way.
+ * Regenerated / edited messages carry their version and alternates.
+ */
+function conversationTurns(conv) {
+  const mapping = conv.mapping || {};
+  const branch = currentBranch(conv);
+  const turns = [];
+  let segmentStart = 0; // index in branch just after the previous visible message
+
+  branch.forEach((node, i) => {
+    if (!isVisible(node.message)) return;
+
+    const m = toMessage(node);
+    if (!hasContent(m)) return;
+
+    const segment = branch.slice(Math.max(segmentStart - 1, 0), i + 1);
+    segmentStart = i + 1;
+
+    turns.push({
+      turnId: node.id,
+      turnNum: turns.length + 1,
+      firstSeen: turns.length,
+      msgs: [m],
+      ...(branchVersions(mapping, segment) || {}),
+    });
+  });
+  return turns;
+}
+
+// "Fix the DB migration!" + id -> "fix_the_db_migration_6789abcd"
+function slugFor(conv) {
+  const base = String(conv.title || "untitled")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "")
+    .slice(0, 60);
+  return `${base || "untitled"}_${conversationId(conv).slice(0, 8)}`;
+}
+
+function selectConversations(all, { title, id, everything }) {
+  if (everything) return all;
+  if (id) return all.filter((c) => conversationId(c) === id);
+  if (title) {
+    const needle = title.toLowerCase();
+    return all.filter((c) => String(c.title || "").toLowerCase().includes(needle));
+  }
+  return [];
+}
+
+(async () => {
+  const { opts, positional } = parseCommandLine(CLI);
+  const inJson = positional[0];
+  const outDir = positional[1] || opts.outDir;
+
+  const title = opts.title;
+  const id = opts.id;
+  const everything = opts.all;
+  const wantPdf = (opts.pdf || opts.pdfOnly) && !opts.htmlOnly;
+  const wantMarkdown = opts.markdown;
+
+  if (!inJson || (!opts.list && (!outDir || !(title || id || everything)))) {
+    console.error(`Usage:\n${CLI.usage.map((u) => `  ${u}`).join("\n")}\nRun with --help for the list of options.`);
+    process.exit(1);
+  }
+
+  const customCss = readCssFile(opts.css);
+
+  const all = JSON.parse(fs.readFileSync(inJson, "utf8"));
+  if (!Array.isArray(all)) {
+    throw new Error(`Expected an array of conversations in ${inJson}`);
+  }
+
+  if (opts.list) {
+    for (const c of all) {
+      console.log(`${conversationId(c)}\t${conversationTurns(c).length} msgs\t${c.title || "(untitled)"}`);
+    }
+    return;
+  }
+
+  const chosen = selectConversations(all, { title, id, everything });
+  if (!chosen.length) {
+    throw new Error(`No conversation matched ${id ? `--id ${id}` : `--title "${title}"`}`);
+  }
+
+  fs.mkdirSync(outDir, { recursive: true });
+
+  // Only the PDF step needs a browser
+  let browser = null;
+  let page = null;
+  if (wantPdf) {
+    const puppeteer = require("puppeteer");
+    browser = await puppeteer.launch({
+      headless: "new",
+      args: [
+        "--disable-gpu",
+        "--no-first-run",
+        "--no-default-browser-check",
+        "--disable-dev-shm-usage",
+        // If Chromium hard-crashes in WSL/containers, uncomment:
+        // "--no-sandbox",
+        // "--no-zygote",
+      ],
+    });
+    page = await browser.newPage();
+    page.setDefaultTimeout(opts.timeout);
+    page.setDefaultNavigationTimeout(opts.timeout);
+  }
+
+  for (const conv of chosen) {
+    const turnsSorted = conversationTurns(conv);
+    const numbered = numberTurns(turnsSorted);
+    const archive = buildArchive({
+      sourceFile: inJson,
+      title: conv.title || "untitled",
+      conversationId: conversationId(conv),
+      turnsSorted,
+      numbered,
+    });
+
+    const base = path.join(outDir, slugFor(conv));
+    writeArchive(`${base}.json`, archive);
+
+    const transcript = {
+      title: archive.title,
+      source: path.basename(inJson),
+      exportedAt: archive.exportedAt,
+      messages: numbered,
+      totals: archive.totals,
+      headerHtml: renderReportHtml(buildCompletenessReport({ turnsSorted, numbered })),
+      opts: {
+        ...RENDER_DEFAULTS,
+        alternates: opts.alternates,
+        theme: opts.theme,
+        customCss,
+        highlight: opts.highlight,
+        lineNumbers: opts.lineNumbers,
+        codeWrap: opts.codeWrap,
+        toc: opts.toc,
+      },
+    };
+
+    const printHtml = renderTranscriptHtml(transcript);
+    if (!opts.pdfOnly) fs.writeFileSync(`${base}.html`, printHtml, "utf8");
+
+    if (wantMarkdown) {
+      fs.writeFileSync(`${base}.md`, renderTranscriptMarkdown(transcript), "utf8");
+    }
+    if (page) {
+      await printTranscriptPdf(page, printHtml, `${base}.pdf`, {
+        pdf: pdfSettings(opts),
+        templates: { header: opts.header, footer: opts.footer },
+      });
+    }
+
+    console.log(
+      `Imported "${archive.title}": ${archive.totals.messages} messages ` +
+        `(user ${archive.totals.user}, assistant ${archive.totals.assistant}) → ${base}.*`
+    );
+  }
+
+  if (browser) await browser.close();
+})().catch((err) => {
+  console.error("Import failed:", err);
+  process.exit(1);
+});
@@ -0,0 +1,222 @@
+/**
+ * keep_spec.js
+ *
+ * The --keep selection language of Gleaning_ChatGPT_selections.js.
+ *
+ * A spec is a comma- (or newline-) separated list of terms:
+ *   45            global index
+ *   1-20          global index range
+ *   500-          open-ended range (to the last message); "-20" = up to 20
+ *   U12  A7       per-role index (User 12 / Assistant 7)
+ *   U12-U30       per-role range (also "U12-30", "U500-")
+ *   /regex/i      messages whose content matches the regex
+ *   "migration"   messages whose content contains the text (case-insensitive)
+ *   !term         exclude what term selects (e.g. "!200-250")
+ *   term+         also keep the paired reply (user → its assistant replies,
+ *                 assistant → the user prompt it answers)
+ *
+ * Only exclusions ("!200-250") means "everything except".
+ * "@spec.txt" reads the spec from a file (newlines separate terms, # comments),
+ * "@-" from stdin (e.g. piped from search_chat_library.js --keep).
+ * En dashes ("U12–U30") are accepted for ranges.
+ *
+ * With --by-turn the result is widened to whole exchanges (expandToExchanges).
+ */
+
+const fs = require("fs");
+
+// Split on commas/newlines, but not inside "quotes" or /regex/
+function tokenize(spec) {
+  const terms = [];
+  let cur = "";
+  let quote = null;
+
+  for (let i = 0; i < spec.length; i++) {
+    const c = spec[i];
+
+    if (quote) {
+      cur += c;
+      if (c === "\\" && quote === "/" && i + 1 < spec.length) cur += spec[++i];
+      else if (c === quote) quote = null;
+      continue;
+    }
+
+    if ((c === '"' || c === "'") || (c === "/" && /^!?$/.test(cur.trim()))) {
+      quote = c;
+      cur += c;
+    } else if (c === "," || c === "\n") {
+      terms.push(cur);
+      cur = "";
+    } else {
+      cur += c;
+    }
+  }
+  terms.push(cur);
+
+  return terms.map((t) => t.trim()).filter(Boolean);
+}
+
+function parseTerm(raw) {
+  let t = raw.replace(/[–—]/g, "-");
+
+  const exclude = t.startsWith("!");
+  if (exclude) t = t.slice(1).trim();
+
+  const paired = /\+$/.test(t) && !/^\/.*\/[a-z]*$/.test(t);
+  if (paired) t = t.slice(0, -1).trim();
+
+  const base = { raw, exclude, paired };
+
+  let m = t.match(/^\/(.*)\/([a-z]*)$/s);
+  if (m) return { ...base, kind: "regex", re: new RegExp(m[1], m[2]) };
+
+  m = t.match(/^"(.*)"$|^'(.*)'$/s);
+  if (m) return { ...base, kind: "text", text: (m[1] ?? m[2]).toLowerCase() };
+
+  // Per-role: U12, A7, U12-U30, U12-30, U500-
+  m = t.match(/^([UA])\s*(\d+)(?:\s*-\s*(?:[UA]\s*)?(\d*))?$/i);
+  if (m) {
+    const role = m[1].toUpperCase() === "U" ? "user" : "assistant";
+    const from = Number(m[2]);
+    const isRange = /-/.test(t);
+    const to = !isRange ? from : m[3] ? Number(m[3]) : Infinity;
+    const endRole = t.match(/-\s*([UA])/i);
+    if (endRole && endRole[1].toUpperCase() !== m[1].toUpperCase()) {
+      throw new Error(`--keep range mixes roles: "${raw}"`);
+    }
+    return { ...base, kind: "role", role, from: Math.min(from, to), to: Math.max(from, to) };
+  }
+
+  // Global: 45, 1-20, 500-, -20
+  m = t.match(/^(\d*)\s*-\s*(\d*)$/);
+  if (m && (m[1] || m[2])) {
+    let a = m[1] ? Number(m[1]) : 1;
+    let b = m[2] ? Number(m[2]) : Infinity;
+    if (b < a) [a, b] = [b, a];
+    return { ...base, kind: "global", from: a, to: b };
+  }
+  if (/^\d+$/.test(t) && Number(t) > 0) {
+    return { ...base, kind: "global", from: Number(t), to: Number(t) };
+  }
+
+  throw new Error(`Unrecognized --keep term: "${raw}"`);
+}
+
+/**
+ * Parse a spec string (or "@file") into terms.
+ */
+function parseKeepSpec(spec) {
+  if (!spec || !spec.trim()) {
+    throw new Error('Missing --keep spec. Example: --keep "1-20,45,60-100"');
+  }
+
+  let text = spec.trim();
+  if (text.startsWith("@")) {
+    const file = text.slice(1).trim();
+    text = fs
+      .readFileSync(file === "-" ? 0 : file, "utf8")
+      .split(/\r?\n/)
+      .filter((line) => !line.trim().startsWith("#"))
+      .join("\n");
+  }
+
+  const terms = tokenize(text).map(parseTerm);
+  if (!terms.length) {
+    throw new Error(`--keep spec parsed to no terms: "${spec}"`);
+  }
+  return terms;
+}
+
+function termMatches(term, m) {
+  switch (term.kind) {
+    case "global":
+      return m.globalIdx != null && m.globalIdx >= term.from && m.globalIdx <= term.to;
+    case "role":
+      return m.role === term.role && m.roleIdx != null && m.roleIdx >= term.from && m.roleIdx <= term.to;
+    case "regex":
+      term.re.lastIndex = 0;
+      return term.re.test(m.text || "");
+    case "text":
+      return (m.text || "").toLowerCase().includes(term.text);
+    default:
+      return false;
+  }
+}
+
+// user → following non-user messages; assistant → nearest earlier user prompt
+function pairedIndexes(messages, i) {
+  const out = [];
+  const m = messages[i];
+  if (m.role === "user") {
+    for (let j = i + 1; j < messages.length && messages[j].role !== "user"; j++) {
+      out.push(messages[j].globalIdx);
+    }
+  } else {
+    for (let j = i - 1; j >= 0; j--) {
+      if (messages[j].role === "user") {
+        out.push(messages[j].globalIdx);
+        break;
+      }
+    }
+  }
+  return out;
+}
+
+function termSelection(term, messages) {
+  const sel = new Set();
+  messages.forEach((m, i) => {
+    if (!termMatches(term, m)) return;
+    sel.add(m.globalIdx);
+    if (term.paired) for (const g of pairedIndexes(messages, i)) sel.add(g);
+  });
+  return sel;
+}
+
+/**
+ * Resolve parsed terms against the transcript's messages
+ * ([{ globalIdx, role, roleIdx, text }] in order) to a Set of global indexes.
+ */
+function selectKeepSet(terms, messages) {
+  const ordered = messages
+    .filter((m) => m.globalIdx != null)
+    .sort((a, b) => a.globalIdx - b.globalIdx);
+
+  const includes = terms.filter((t) => !t.exclude);
+  const excludes = terms.filter((t) => t.exclude);
+
+  const keep = new Set();
+  if (includes.length) {
+    for (const t of includes) for (const g of termSelection(t, ordered)) keep.add(g);
+  } else {
+    for (const m of ordered) keep.add(m.globalIdx);
+  }
+
+  for (const t of excludes) for (const g of termSelection(t, ordered)) keep.delete(g);
+
+  if (keep.size === 0) {
+    throw new Error(`--keep spec selected no messages: ${terms.map((t) => t.raw).join(", ")}`);
+  }
+  return keep;
+}
+
+/**
+ * Turn-aware selection: widen keepSet to whole exchanges, so keeping either
+ * the prompt or any of its replies keeps the full user -> assistant exchange.
+ * messages need the "exchange" number from readTranscriptMessages.
+ */
+function expandToExchanges(keepSet, messages) {
+  const touched = new Set(
+    messages.filter((m) => keepSet.has(m.globalIdx)).map((m) => m.exchange)
+  );
+  const out = new Set(keepSet);
+  for (const m of messages) {
+    if (m.globalIdx != null && touched.has(m.exchange)) out.add(m.globalIdx);
+  }
+  return out;
+}
+
+module.exports = {
+  parseKeepSpec,
+  selectKeepSet,
+  expandToExchanges,
+};
@@ -4,45 +4,279 @@
  * Features:
  *  - Loads a saved ChatGPT HTML snapshot (virtualized)
  *  - Incrementally scrolls to harvest BOTH user + assistant messages in TURN order
+ *    (--harvest observe: mutation-driven, adaptive step, reports never-seen turns;
+ *     see chat_harvest.js)
  *  - Rehydrates formatting (headings/lists/code/quotes/tables)
- *  - Strips images from output (keeps PDF small) but lists detected file names per message
+ *  - Image policy (--images): drop, list file names only (default), inline as
+ *    downscaled data URIs within --image-budget, or copy to a sidecar out_assets/
+ *    folder (see transcript_images.js)
  *  - Shows 3 counters per message:
  *      - Global message index (#)
  *      - Per-role index (U# or A#)
  *      - Running totals (U:x • A:y) (not faded)
  *  - Removes the left-side "circle" by removing the avatar column entirely
  *  - Adds PDF page numbering via Puppeteer header/footer template
+ *  - Writes a versioned JSON archive (out.json) next to the PDF so the chat can
+ *    be stored small and re-rendered later (see chat_archive.js)
+ *  - Completeness report (missing turns, orphan roles, duplicates) printed and
+ *    shown in the header; --strict fails the export on missing turns
+ *  - Merges several saved snapshots of the same chat (different virtualized
+ *    regions mounted) into one deduplicated transcript, with a per-turn
+ *    snapshot contribution report (out.sources.txt)
+ *  - Source adapters (chat_adapters.js) for ChatGPT, Claude, Gemini, Copilot and
+ *    a generic fallback; auto-detected per page, or forced with --adapter
+ *  - Optional Markdown transcript (out.md) for wikis / PRs (--markdown)
+ *  - Optional interactive viewer (out.viewer.html, --viewer): the transcript
+ *    plus an embedded search index, match highlighting, role filter, jump to
+ *    an index and collapsing of long messages, all offline (transcript_viewer.js)
+ *  - Themes (--theme dark|light|high-contrast|compact|chatgpt) plus a user CSS
+ *    file (--css), see transcript_themes.js
+ *  - Code blocks cleaned of ChatGPT's header / copy-button chrome, labeled with
+ *    their language and syntax-highlighted offline; --line-numbers, and
+ *    --no-code-wrap to keep long lines unwrapped (transcript_code.js)
+ *  - Table of contents (one entry per user prompt), PDF bookmarks and an
+ *    anchor per message ("out.html#msg-123" = Index #123); --no-toc to skip
+ *  - Running PDF header / footer (chat title, source, export date, message
+ *    range); --header / --footer templates (transcript_page_templates.js)
+ *  - Redaction of secrets / PII before rendering (--redact, --redact-terms,
+ *    --redact-patterns, --redact-style) with a per-message count log
+ *    (out.redactions.txt); the JSON archive is not redacted
+ *  - Tunables, paper size / orientation / margins, HTML-only / PDF-only, output
+ *    directory and timeouts are options (--help), with per-team defaults from a
+ *    JSON config file (see chat_cli_options.js)
+ *  - Regenerated/edited turns ("2/3" navigator) keep their other versions, seen
+ *    across snapshots, as alternates (--alternates collapsible|appendix|none)
+ *  - Update mode (--update prev.json): scrolls up from the bottom only until
+ *    turns of the previous export show up, appends the new messages and keeps
+ *    the previous global / per-role numbering, so "Index #312" stays valid
+ *    (see appendToArchive in chat_archive.js)
  *
  * Usage:
  *   node export_virtual_chat_chatgptish.js "/path/to/saved_chat.html" "out.pdf"
+ *   node export_virtual_chat_chatgptish.js "/path/to/saved_chat.html" "out.pdf" --markdown
+ *   node export_virtual_chat_chatgptish.js "/path/to/saved_chat.html" "out.pdf" --viewer
+ *   node export_virtual_chat_chatgptish.js "/path/to/saved_chat.html" "out.pdf" --harvest observe
+ *   node export_virtual_chat_chatgptish.js "/path/to/saved_chat.html" "out.pdf" --strict
+ *   node export_virtual_chat_chatgptish.js "/path/to/saved_claude_chat.html" "out.pdf" --adapter claude
+ *   node export_virtual_chat_chatgptish.js snapshot1.html snapshot2.html snapshot3.html "out.pdf"
+ *   node export_virtual_chat_chatgptish.js snapshot1.html snapshot2.html "out.pdf" --alternates appendix
+ *   node export_virtual_chat_chatgptish.js "/path/to/saved_chat.html" "out.pdf" --images inline --image-budget 5MB
+ *   node export_virtual_chat_chatgptish.js "/path/to/saved_chat.html" "out.pdf" --images sidecar
+ *   node export_virtual_chat_chatgptish.js "/path/to/saved_chat.html" "out.pdf" --paper Letter --landscape --out-dir exports
+ *   node export_virtual_chat_chatgptish.js "/path/to/saved_chat.html" "out.pdf" --theme light --css team.css
+ *   node export_virtual_chat_chatgptish.js "/path/to/saved_chat_later.html" "out.pdf" --update out.json
+ *   node export_virtual_chat_chatgptish.js --help
  */
 
 const path = require("path");
-const puppeteer = require("puppeteer");
 
 const fs = require("fs");
-
-
-const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+const {
+  numberTurns,
+  buildArchive,
+  archivedTurnMatcher,
+  appendToArchive,
+  archivePathFor,
+  readArchive,
+  writeArchive,
+} = require("./chat_archive");
+const {
+  SCROLL_DEFAULTS,
+  OBSERVE_DEFAULTS,
+  findScroller,
+  createHarvester,
+  scrollHarvest,
+  observeHarvest,
+  updateHarvest,
+  sortTurns,
+  missingTurnNumbers,
+} = require("./chat_harvest");
+const { ADAPTER_NAMES, detectAdapter } = require("./chat_adapters");
+const {
+  buildCompletenessReport,
+  hasGaps,
+  formatReportText,
+  renderReportHtml,
+} = require("./completeness_report");
+const {
+  ALTERNATES_MODES,
+  renderTranscriptHtml,
+  printTranscriptPdf,
+} = require("./transcript_render");
+const { renderTranscriptMarkdown, markdownPathFor } = require("./transcript_markdown");
+const { renderViewerHtml, viewerPathFor } = require("./transcript_viewer");
+const {
+  IMAGE_POLICIES,
+  IMAGE_POLICY_NAMES,
+  DEFAULT_IMAGE_BUDGET,
+  assetsDirFor,
+  preserveImages,
+  formatImageStats,
+} = require("./transcript_images");
+const {
+  redactorFromOptions,
+  redactMessages,
+  redactionLogPathFor,
+  formatRedactionLog,
+  formatRedactionSummary,
+} = require("./transcript_redact");
+const {
+  PDF_OPTIONS,
+  THEME_OPTIONS,
+  CODE_OPTIONS,
+  REDACT_OPTIONS,
+  readCssFile,
+  parseCommandLine,
+  pdfSettings,
+  outputPath,
+} = require("./chat_cli_options");
+
+const CLI = {
+  command: "reconstitute",
+  usage: [
+    "node export_virtual_chat_chatgptish.js input.html [more_snapshots.html ...] output.pdf [options]",
+  ],
+  options: [
+    { flag: "--markdown", type: "boolean", default: false, help: "Also write a Markdown transcript (out.md)" },
+    {
+      flag: "--viewer",
+      type: "boolean",
+      default: false,
+      help: "Also write a searchable interactive HTML viewer (out.viewer.html)",
+    },
+    {
+      flag: "--harvest",
+      type: "string",
+      default: "scroll",
+      choices: ["scroll", "observe"],
+      help: "Harvest mode: fixed scroll steps, or mutation-driven",
+    },
+    {
+      flag: "--adapter",
+      type: "string",
+      default: "auto",
+      choices: ["auto", ...ADAPTER_NAMES],
+      help: "Source chat UI (see chat_adapters.js)",
+    },
+    {
+      flag: "--update",
+      type: "string",
+      arg: "prev.json",
+      default: null,
+      help: "Append only the new turns to a previous export's archive, keeping its numbering",
+    },
+    { flag: "--strict", type: "boolean", default: false, help: "Fail the export when turn numbers are missing" },
+    {
+      flag: "--alternates",
+      type: "string",
+      default: "collapsible",
+      choices: ALTERNATES_MODES,
+      help: "Other versions of regenerated/edited turns",
+    },
+    {
+      flag: "--toc",
+      type: "boolean",
+      default: true,
+      help: "Table of contents and PDF bookmarks, one entry per user prompt (--no-toc: none)",
+    },
+    {
+      flag: "--images",
+      type: "string",
+      default: "list",
+      choices: IMAGE_POLICY_NAMES,
+      help: "Image policy (see transcript_images.js)",
+    },
+    {
+      flag: "--image-budget",
+      type: "size",
+      default: DEFAULT_IMAGE_BUDGET,
+      help: "--images inline: total size of embedded images (image bytes, before base64)",
+    },
+    { flag: "--step-frac", type: "number", default: SCROLL_DEFAULTS.stepFrac, help: "Scroll step, in viewport heights (scroll mode)" },
+    { flag: "--wait-ms", type: "int", arg: "ms", default: SCROLL_DEFAULTS.waitMs, help: "Wait after each scroll step (scroll mode)" },
+    { flag: "--stall-limit", type: "int", default: SCROLL_DEFAULTS.stallLimit, help: "Rounds without new messages before stopping (scroll mode)" },
+    { flag: "--quiet-ms", type: "int", arg: "ms", default: OBSERVE_DEFAULTS.quietMs, help: "No DOM mutations for this long = settled (observe mode)" },
+    {
+      flag: "--settle-timeout",
+      type: "int",
+      arg: "ms",
+      default: OBSERVE_DEFAULTS.settleTimeoutMs,
+      help: "Give up waiting for the page to settle after this long (observe mode)",
+    },
+    ...THEME_OPTIONS,
+    ...CODE_OPTIONS,
+    ...REDACT_OPTIONS,
+    ...PDF_OPTIONS,
+  ],
+};
+
+// "out.pdf" -> "out.sources.txt"
+function sourcesReportPathFor(outPdf) {
+  return outPdf.replace(/\.pdf$/i, "") + ".sources.txt";
+}
+
+// Which snapshot(s) contributed each turn, plus per-snapshot totals
+function formatSourcesReport(turnsSorted, inFiles) {
+  const names = inFiles.map((f) => path.basename(f));
+  const lines = ["Snapshot contributions", ""];
+
+  for (const name of names) {
+    const seen = turnsSorted.filter((t) => (t.sources || []).includes(name));
+    const only = seen.filter((t) => t.sources.length === 1);
+    lines.push(`${name}: ${seen.length} turns (${only.length} only in this snapshot)`);
+  }
+
+  lines.push("", "turnNum\tturnId\tsnapshots");
+  for (const t of turnsSorted) {
+    lines.push(`${t.turnNum ?? "?"}\t${t.turnId}\t${(t.sources || []).join(", ")}`);
+  }
+  return lines.join("\n") + "\n";
+}
 
 (async () => {
-  const inFile = process.argv[2];
-  const outPdf = process.argv[3] || "chat.pdf";
+  const { opts, positional } = parseCommandLine(CLI);
+
+  // input.html [more_snapshots.html ...] [output.pdf]
+  const last = positional[positional.length - 1];
+  const lastIsOut =
+    positional.length > 1 && (/\.pdf$/i.test(last) || (positional.length === 2 && !/\.html?$/i.test(last)));
+  const inFiles = lastIsOut ? positional.slice(0, -1) : positional;
+  const outPdf = outputPath(lastIsOut ? last : "chat.pdf", opts.outDir);
+  const inFile = inFiles[0];
+  const wantMarkdown = opts.markdown;
+  const HARVEST_MODE = opts.harvest; // "scroll" | "observe"
+  const STRICT = opts.strict; // fail the export when turn numbers are missing
+  const ADAPTER = opts.adapter; // source UI, see chat_adapters.js
+  const ALTERNATES = opts.alternates; // other versions of regenerated/edited turns
+  const IMAGES = opts.images; // image policy, see transcript_images.js
+  const IMAGE_BUDGET = opts.imageBudget; // inline: total bytes of embedded images
+  const CUSTOM_CSS = readCssFile(opts.css); // --css, applied after the theme
+  const REDACTOR = redactorFromOptions(opts); // null unless --redact / --redact-terms / --redact-patterns
+  const PREVIOUS = opts.update ? readArchive(opts.update) : null; // --update: archive to append to
 
   if (!inFile) {
-    console.error("Usage: node export_virtual_chat_chatgptish.js input.html output.pdf");
+    console.error(`Usage: ${CLI.usage[0]}\nRun with --help for the list of options.`);
     process.exit(1);
   }
 
-  // Tunables
-  const STEP_FRAC = 0.9;
-  const WAIT_MS = 850;
-  const STALL_LIMIT = 26;
+  if (PREVIOUS && inFiles.length > 1) {
+    console.error("--update reads one saved page (the chat's latest state); merge snapshots in a full export");
+    process.exit(1);
+  }
 
-  // Render policy
-  const STRIP_IMAGES = false; //true;   // do not embed images in PDF
-  const LIST_FILES = true;     // list detected file names per message
+  if (IMAGES === "sidecar" && opts.pdfOnly) {
+    console.error("--images sidecar needs the HTML next to its assets folder; drop --pdf-only");
+    process.exit(1);
+  }
+
+  // Tunables (scroll mode / observe mode, defaults in chat_harvest.js)
+  const STEP_FRAC = opts.stepFrac;
+  const WAIT_MS = opts.waitMs;
+  const STALL_LIMIT = opts.stallLimit;
+  const QUIET_MS = opts.quietMs;
+  const SETTLE_TIMEOUT_MS = opts.settleTimeout;
 
+  const puppeteer = require("puppeteer");
   const browser = await puppeteer.launch({
     headless: "new",
     args: [
@@ -57,656 +291,224 @@ const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
   });
 
   const page = await browser.newPage();
-  page.setDefaultTimeout(0);
-  page.setDefaultNavigationTimeout(0);
-
-  const fileUrl = "file://" + path.resolve(inFile);
-  await page.goto(fileUrl, { waitUntil: "load" });
-
-  // Choose best scroll container (largest scrollHeight among plausible scrollers).
-  const scrollerHandle = await page.evaluateHandle(() => {
-    const candidates = [
-      document.scrollingElement,
-      document.documentElement,
-      document.body,
-      ...Array.from(document.querySelectorAll("*")).filter((el) => {
-        const cs = getComputedStyle(el);
-        const oy = cs.overflowY;
-        return (
-          (oy === "auto" || oy === "scroll") &&
-          el.scrollHeight > el.clientHeight + 200
-        );
-      }),
-    ].filter(Boolean);
-
-    let best = candidates[0];
-    for (const el of candidates) {
-      if ((el.scrollHeight || 0) > (best?.scrollHeight || 0)) best = el;
-    }
-    return best || document.scrollingElement || document.documentElement;
-  });
-
-  // Start at top
-  await page.evaluate((scroller) => {
-    scroller.scrollTop = 0;
-  }, scrollerHandle);
-  await sleep(WAIT_MS);
-
-  const turnMap = new Map(); // turnId -> { turnId, turnNum, firstSeen, msgs: [] }
-  let turnCounter = 0;
-
-  function msgFallbackKey(m) {
-    const t = (m.text || "").trim();
-    const head = t.slice(0, 120);
-    const tail = t.length > 240 ? t.slice(-120) : "";
-    return `${(m.role || "").toLowerCase()}::${head}::${tail}`;
-  }
+  page.setDefaultTimeout(opts.timeout);
+  page.setDefaultNavigationTimeout(opts.timeout);
+
+  // Harvest every snapshot into one turnMap (deduped by turn/message id)
+  const turnMap = new Map();
+  const adaptersUsed = new Set();
+
+  for (const snapshot of inFiles) {
+    const fileUrl = "file://" + path.resolve(snapshot);
+    await page.goto(fileUrl, { waitUntil: "load" });
+
+    const adapter = await detectAdapter(page, ADAPTER);
+    adaptersUsed.add(adapter.name);
+    console.log(
+      `Source adapter for ${path.basename(snapshot)}: ${adapter.label}` +
+        (ADAPTER === "auto" ? " (auto-detected)" : "")
+    );
 
-  async function harvestMountedTurns() {
-    const turns = await page.evaluate(() => {
-      const uniq = (arr) => Array.from(new Set(arr.filter(Boolean)));
-
-      const basename = (s) => {
-        try {
-          if (!s) return "";
-          const noHash = s.split("#")[0];
-          const noQuery = noHash.split("?")[0];
-          const parts = noQuery.split("/");
-          return parts[parts.length - 1] || "";
-        } catch {
-          return "";
-        }
-      };
-
-      const looksLikeFilename = (s) => {
-        if (!s) return false;
-        const t = s.trim();
-        if (t.length < 3 || t.length > 180) return false;
-        if (!t.includes(".")) return false;
-        if (t.startsWith("http://") || t.startsWith("https://")) {
-          return /\.[a-z0-9]{1,8}$/i.test(basename(t));
-        }
-        return /\.[a-z0-9]{1,8}$/i.test(t);
-      };
-
-      const extractFilesFromMessageNode = (n) => {
-        const files = [];
-
-        // Links (attachment chips / downloads / normal anchors)
-        const links = Array.from(n.querySelectorAll("a[href]"));
-        for (const a of links) {
-          const txt = (a.textContent || "").trim();
-          const href = a.getAttribute("href") || "";
-          const dl = (a.getAttribute("download") || "").trim();
-
-          if (looksLikeFilename(dl)) files.push(dl);
-          if (looksLikeFilename(txt)) files.push(txt);
-
-          const bn = basename(href);
-          if (looksLikeFilename(bn)) files.push(bn);
-        }
-
-        // Images (we'll strip them in render but keep names)
-        const imgs = Array.from(n.querySelectorAll("img"));
-        for (const img of imgs) {
-          const alt = (img.getAttribute("alt") || "").trim();
-          const title = (img.getAttribute("title") || "").trim();
-          const aria = (img.getAttribute("aria-label") || "").trim();
-          const src = img.getAttribute("src") || "";
-
-          if (looksLikeFilename(alt)) files.push(alt);
-          if (looksLikeFilename(title)) files.push(title);
-          if (looksLikeFilename(aria)) files.push(aria);
-
-          const bn = basename(src);
-          if (looksLikeFilename(bn)) files.push(bn);
-          else if (bn) files.push(bn);
-        }
-
-        // Titles / aria-labels (sometimes filenames are stored there)
-        const titled = Array.from(n.querySelectorAll("[title],[aria-label]"));
-        for (const el of titled) {
-          const t = (el.getAttribute("title") || "").trim();
-          const a = (el.getAttribute("aria-label") || "").trim();
-          if (looksLikeFilename(t)) files.push(t);
-          if (looksLikeFilename(a)) files.push(a);
-        }
-
-        const cleaned = uniq(files)
-          .map((f) => f.trim())
-          .filter((f) => f && f !== "Image" && f !== "image" && f !== "file");
-
-        return cleaned;
-      };
-
-      const turnEls = Array.from(document.querySelectorAll("[data-turn-id]"));
-
-      return turnEls
-        .map((t) => {
-          const turnId = t.getAttribute("data-turn-id") || "";
-          const turnNumRaw = t.getAttribute("data-turn");
-          const turnNum =
-            turnNumRaw != null && turnNumRaw !== "" ? Number(turnNumRaw) : null;
-
-          const msgs = Array.from(t.querySelectorAll("[data-message-author-role]"))
-            .map((n) => {
-              const role = (n.getAttribute("data-message-author-role") || "").toLowerCase();
-
-              const md =
-                n.querySelector(".markdown") ||
-                n.querySelector(".prose") ||
-                n.querySelector("[class*='markdown']") ||
-                null;
-
-              const html = md ? md.innerHTML : "";
-              const text = (n.innerText || "").trim();
-              const msgId = n.getAttribute("data-message-id") || "";
-              const files = extractFilesFromMessageNode(n);
-
-              return { msgId, role, html, text, files };
-            })
-            .filter((m) => m.role && (m.html || m.text || (m.files && m.files.length)));
-
-          return { turnId, turnNum, msgs };
-        })
-        .filter((x) => x.turnId && x.msgs.length);
+    const scrollerHandle = await findScroller(page);
+    const harvester = createHarvester(page, {
+      turnMap,
+      source: path.basename(snapshot),
+      adapter,
     });
-
-    let newStuff = 0;
-
-    for (const t of turns) {
-      if (!turnMap.has(t.turnId)) {
-        turnMap.set(t.turnId, {
-          turnId: t.turnId,
-          turnNum: t.turnNum,
-          firstSeen: turnCounter++,
-          msgs: [],
-        });
-        newStuff++;
-      }
-
-      const entry = turnMap.get(t.turnId);
-
-      if (entry.turnNum == null && t.turnNum != null && !Number.isNaN(t.turnNum)) {
-        entry.turnNum = t.turnNum;
-      }
-
-      const existing = new Set(entry.msgs.map((m) => m.msgId || msgFallbackKey(m)));
-
-      for (const m of t.msgs) {
-        const k = m.msgId || msgFallbackKey(m);
-        if (!existing.has(k)) {
-          entry.msgs.push(m);
-          existing.add(k);
-          newStuff++;
-        } else {
-          // Merge newly found files
-          const found = entry.msgs.find((x) => (x.msgId || msgFallbackKey(x)) === k);
-          if (found) {
-            found.files = Array.from(new Set([...(found.files || []), ...(m.files || [])]));
-          }
-        }
+    const before = turnMap.size;
+
+    if (PREVIOUS) {
+      const { reachedKnown } = await updateHarvest(page, scrollerHandle, harvester, archivedTurnMatcher(PREVIOUS), {
+        stepFrac: STEP_FRAC,
+        quietMs: QUIET_MS,
+        settleTimeoutMs: SETTLE_TIMEOUT_MS,
+      });
+      if (!reachedKnown) {
+        console.log(`No turn of ${path.basename(opts.update)} found in ${path.basename(snapshot)}; harvested the whole page`);
       }
+    } else if (HARVEST_MODE === "observe") {
+      await observeHarvest(page, scrollerHandle, harvester, {
+        quietMs: QUIET_MS,
+        settleTimeoutMs: SETTLE_TIMEOUT_MS,
+      });
+    } else {
+      await scrollHarvest(page, scrollerHandle, harvester, {
+        stepFrac: STEP_FRAC,
+        waitMs: WAIT_MS,
+        stallLimit: STALL_LIMIT,
+      });
     }
 
-    return newStuff;
-  }
-
-  // Initial harvest
-  await harvestMountedTurns();
-
-  // Scroll + harvest loop
-  let stall = 0;
-  while (stall < STALL_LIMIT) {
-    const added = await harvestMountedTurns();
-    if (added === 0) stall++;
-    else stall = 0;
-
-    const nearBottom = await page.evaluate((scroller) => {
-      const eps = 10;
-      return scroller.scrollTop + scroller.clientHeight >= scroller.scrollHeight - eps;
-    }, scrollerHandle);
-
-    if (nearBottom && stall >= 3) {
-      await harvestMountedTurns();
-      break;
+    if (inFiles.length > 1) {
+      console.log(`Harvested ${path.basename(snapshot)}: ${turnMap.size - before} new turns`);
     }
-
-    await page.evaluate(
-      (scroller, frac) => {
-        const step = Math.floor(window.innerHeight * frac);
-        scroller.scrollTop = Math.min(scroller.scrollTop + step, scroller.scrollHeight);
-      },
-      scrollerHandle,
-      STEP_FRAC
-    );
-
-    await sleep(WAIT_MS);
   }
 
-  // Order turns: prefer numeric data-turn; fallback to firstSeen
-  const turnsSorted = Array.from(turnMap.values()).sort((a, b) => {
-    const an = a.turnNum;
-    const bn = b.turnNum;
-    const aHas = an != null && !Number.isNaN(an);
-    const bHas = bn != null && !Number.isNaN(bn);
-    if (aHas && bHas) return an - bn;
-    if (aHas && !bHas) return -1;
-    if (!aHas && bHas) return 1;
-    return a.firstSeen - b.firstSeen;
-  });
-
-  // Flatten: user -> assistant -> others per turn
-  const flattened = [];
-  for (const t of turnsSorted) {
-    const users = t.msgs.filter((m) => m.role === "user");
-    const assistants = t.msgs.filter((m) => m.role === "assistant");
-    const others = t.msgs.filter((m) => m.role !== "user" && m.role !== "assistant");
-    flattened.push(...users, ...assistants, ...others);
-  }
-
-  // Indices: global + per-role + running
-  let userIdx = 0;
-  let assistantIdx = 0;
-
-  const numbered = flattened.map((m, i) => {
-    const role = m.role || "unknown";
-    let roleIdx = null;
-
-    if (role === "user") roleIdx = ++userIdx;
-    else if (role === "assistant") roleIdx = ++assistantIdx;
-
-    return {
-      ...m,
-      globalIdx: i + 1,
-      userIdx: role === "user" ? roleIdx : null,
-      assistantIdx: role === "assistant" ? roleIdx : null,
-      userCountSoFar: userIdx,
-      assistantCountSoFar: assistantIdx,
+  let missingTurnNums = missingTurnNumbers(turnMap);
+  let turnsSorted = sortTurns(turnMap);
+  let numbered;
+  let update = null;
+
+  if (PREVIOUS) {
+    // Previous export first, with its numbers; new turns after it
+    const appended = appendToArchive(PREVIOUS, turnsSorted, { source: path.basename(inFile) });
+    turnsSorted = appended.turnsSorted;
+    numbered = appended.numbered;
+    missingTurnNums = Array.from(
+      new Set([...((PREVIOUS.harvest && PREVIOUS.harvest.missingTurnNums) || []), ...missingTurnNums])
+    ).sort((a, b) => a - b);
+    update = {
+      from: path.basename(opts.update),
+      previousSource: (PREVIOUS.source && PREVIOUS.source.file) || null,
+      previousExportedAt: PREVIOUS.exportedAt || null,
+      turns: appended.added.turns,
+      messages: appended.added.messages,
+      skippedTurnNums: appended.skippedTurnNums,
     };
-  });
-
-  // Render helpers
-  const escapeHtml = (s) =>
-    String(s)
-      .replace(/&/g, "&amp;")
-      .replace(/</g, "&lt;")
-      .replace(/>/g, "&gt;");
-
-  function stripImagesFromHtml(html) {
-    if (!STRIP_IMAGES) return String(html);
-    return String(html)
-      .replace(/<picture[\s\S]*?<\/picture>/gi, "")
-      .replace(/<img\b[^>]*>/gi, "")
-      .replace(/<video[\s\S]*?<\/video>/gi, "");
-  }
-
-  function renderFilesList(files) {
-    if (!LIST_FILES) return "";
-    const list = (files || []).filter(Boolean);
-    if (!list.length) return "";
-    const items = list
-      .map((f) => `<li><span class="file">${escapeHtml(f)}</span></li>`)
-      .join("");
-    return `
-      <div class="files">
-        <div class="filesLabel">Files</div>
-        <ul class="filesList">${items}</ul>
-      </div>
-    `;
+    console.log(
+      appended.added.messages
+        ? `Update: ${appended.added.messages} new messages (${appended.added.turns} new turns) ` +
+            `after Index #${PREVIOUS.totals.messages}`
+        : `Update: no new messages since ${update.from}`
+    );
+    if (appended.skipped) {
+      console.log(
+        `Update: skipped ${appended.skipped} new messages in turns before the end of ${update.from} ` +
+          `(turns ${appended.skippedTurnNums.join(", ")}); ` +
+          "adding them would renumber the export, run a full export to include them"
+      );
+    }
   }
 
-  function renderMessage(m) {
-    const role = (m.role || "").toLowerCase();
-
-    const html = m.html ? stripImagesFromHtml(m.html) : "";
-    const content =
-      html && html.trim()
-        ? html
-        : `<pre class="plain">${escapeHtml(m.text || "")}</pre>`;
-
-    const roleBadge =
-      role === "user"
-        ? `User ${m.userIdx}`
-        : role === "assistant"
-        ? `Assistant ${m.assistantIdx}`
-        : role.toUpperCase();
-
-    const global = `Index #${m.globalIdx}`;
-    const running = `U:${m.userCountSoFar} + A:${m.assistantCountSoFar}`;
-
-    return `
-<div class="turn ${role}">
-  <div class="bubble">
-    <div class="meta">
-      <span class="badge">${roleBadge}</span>
-      <span class="global">${global}</span>
-      <span class="dot">=</span>
-      <span class="running">${running}</span>
-    </div>
-
-    ${renderFilesList(m.files)}
-
-    <div class="content markdown">${content}</div>
-  </div>
-</div>`;
+  if (inFiles.length > 1) {
+    const outSources = sourcesReportPathFor(outPdf);
+    fs.writeFileSync(outSources, formatSourcesReport(turnsSorted, inFiles), "utf8");
+    console.log(`Saved snapshot contribution report → ${outSources}`);
   }
 
-  const body = numbered.map(renderMessage).join("\n");
+  // Flatten (user -> assistant -> others per turn) and assign the three counters
+  if (!numbered) numbered = numberTurns(turnsSorted);
+  const lastMsg = numbered[numbered.length - 1];
 
   const totalTurns = turnsSorted.length;
   const totalMessages = numbered.length;
-  const totalUsers = userIdx;
-  const totalAssistants = assistantIdx;
-
-  // Footer for PDF page numbering (Puppeteer feature)
-  const footerTemplate = `
-    <div style="width:100%; font-size:10px; padding:0 12mm; color:#666; display:flex; justify-content:space-between;">
-      <div></div>
-      <div>Page <span class="pageNumber"></span> / <span class="totalPages"></span></div>
-    </div>
-  `;
-
-  const printHtml = `<!doctype html>
-<html>
-<head>
-<meta charset="utf-8" />
-<title>Chat Transcript: ${path.basename(inFile).replace(/\.html$/i, "")}</title>
-<style>
-  :root{
-    --bg: #0b0f19;
-    --panel: rgba(255,255,255,.04);
-    --bubble-assistant: #111827;
-    --bubble-user: #0b2a1b;
-    --text: #f4f6fb;
-    --border: rgba(255,255,255,.12);
-    --code-bg: rgba(255,255,255,.07);
-    --shadow: rgba(0,0,0,.35);
-    --file-bg: rgba(255,255,255,.06);
-  }
-
-  body{
-    margin: 0;
-    background: var(--bg);
-    color: var(--text);
-    font-family:
-      "Atkinson Hyperlegible",
-      "Inter",
-      "Segoe UI",
-      "Noto Sans",
-      "Roboto",
-      system-ui,
-      -apple-system,
-      sans-serif;
-    font-size: 16px;
-    line-height: 1.62;
-    text-rendering: optimizeLegibility;
-    -webkit-font-smoothing: antialiased;
-    -moz-osx-font-smoothing: grayscale;
-  }
-
-  .wrap{
-    max-width: 980px;
-    margin: 0 auto;
-    padding: 22px 16px 48px;
-  }
-
-  .header{
-    background: var(--panel);
-    border: 1px solid var(--border);
-    border-radius: 16px;
-    padding: 14px 16px;
-    margin-bottom: 16px;
-    box-shadow: 0 8px 22px var(--shadow);
-  }
-
-  .title{
-    font-weight: 900;
-    letter-spacing: .01em;
-    margin: 0 0 6px;
-    font-size: 16px;
-  }
-  .summary{
-    margin: 0;
-    font-size: 13px;
-    font-weight: 800;
-  }
-
-  .turn{
-    display: block;
-    margin: 12px 0;
-    page-break-inside: avoid;
-  }
-
-  .bubble{
-    border: 1px solid var(--border);
-    border-radius: 16px;
-    padding: 12px 14px 12px;
-    box-shadow: 0 8px 22px var(--shadow);
-    background: var(--bubble-assistant);
-  }
-
-  .turn.user .bubble{
-    background: var(--bubble-user);
-  }
-
-  .meta{
-    display: flex;
-    align-items: center;
-    gap: 8px;
-    color: var(--text);       /* do not fade */
-    font-size: 13px;
-    font-weight: 900;
-    margin-bottom: 10px;
-  }
-
-  .badge{
-    font-weight: 950;
-    letter-spacing: .02em;
-    color: var(--text);
-    background: rgba(255,255,255,.06);
-    border: 1px solid rgba(255,255,255,.12);
-    padding: 2px 10px;
-    border-radius: 999px;
-  }
-
-  .global{ font-weight: 950; }
-  .dot{ opacity: .85; }
-  .running{ font-weight: 900; }
-
-  /* Files block */
-  .files{
-    margin: 0 0 10px 0;
-    padding: 10px 10px;
-    border-radius: 14px;
-    border: 1px dashed rgba(255,255,255,.16);
-    background: var(--file-bg);
-  }
-  .filesLabel{
-    font-size: 12px;
-    font-weight: 950;
-    letter-spacing: .03em;
-    margin-bottom: 6px;
-  }
-  .filesList{
-    margin: 0 0 0 18px;
-    padding: 0;
-  }
-  .filesList li{
-    margin: 3px 0;
-  }
-  .file{
-    font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, "Liberation Mono", monospace;
-    font-size: 13px;
-  }
+  const totalUsers = lastMsg ? lastMsg.userCountSoFar : 0;
+  const totalAssistants = lastMsg ? lastMsg.assistantCountSoFar : 0;
 
-  /* Markdown-ish rendering */
-  .content > *:first-child{ margin-top: 0; }
-  .content > *:last-child{ margin-bottom: 0; }
-  .content p{ margin: 0 0 12px; }
+  const report = buildCompletenessReport({ turnsSorted, numbered });
+  console.log(formatReportText(report));
 
-  .content ul, .content ol{ margin: 8px 0 12px 22px; padding: 0; }
-  .content li{ margin: 4px 0; }
-
-  .content blockquote{
-    margin: 12px 0;
-    padding: 12px 14px;
-    border-left: 3px solid rgba(255,255,255,.22);
-    background: rgba(255,255,255,.06);
-    border-radius: 14px;
-  }
-
-  .content h1,.content h2,.content h3,.content h4{
-    margin: 16px 0 10px;
-    line-height: 1.25;
-    letter-spacing: .01em;
-  }
-  .content h1{ font-size: 22px; }
-  .content h2{ font-size: 18px; }
-  .content h3{ font-size: 16px; }
-  .content h4{ font-size: 15px; }
-
-  .content a{ color: #8ab4f8; text-decoration: none; }
-  .content a:hover{ text-decoration: underline; }
-
-  .content code{
-    font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, "Liberation Mono", monospace;
-    font-size: 0.96em;
-    background: var(--code-bg);
-    padding: 0.18em 0.40em;
-    border-radius: 10px;
-    border: 1px solid rgba(255,255,255,.10);
+  if (STRICT && hasGaps(report)) {
+    throw new Error("Completeness check failed (--strict): turn numbers are missing");
   }
 
-  .content pre{
-    margin: 12px 0;
-    padding: 14px 14px;
-    overflow: auto;
-    background: var(--code-bg);
-    border: 1px solid rgba(255,255,255,.12);
-    border-radius: 16px;
-  }
+  let renderMessages = numbered;
 
-  .content pre code{
-    background: transparent;
-    border: 0;
-    padding: 0;
-  }
-
-  .content hr{
-    border: 0;
-    border-top: 1px solid rgba(255,255,255,.14);
-    margin: 16px 0;
-  }
-
-  /* Tables */
-  .content table{
-    width: 100%;
-    border-collapse: collapse;
-    margin: 12px 0;
-    border-radius: 16px;
-    overflow: hidden;
-    border: 1px solid rgba(255,255,255,.14);
-  }
-  .content th, .content td{
-    padding: 10px 12px;
-    vertical-align: top;
-    border-bottom: 1px solid rgba(255,255,255,.12);
-  }
-  .content th{
-    text-align: left;
-    background: rgba(255,255,255,.06);
-    font-weight: 950;
-  }
-  .content tr:last-child td{ border-bottom: 0; }
-
-  /* Plain fallback */
-  .plain{
-    white-space: pre-wrap;
-    word-break: break-word;
-    margin: 0;
+  // Mask secrets / PII in everything rendered from here on (the archive keeps the harvest)
+  if (REDACTOR) {
+    const redacted = redactMessages(numbered, REDACTOR);
+    renderMessages = redacted.messages;
+    const logFile = redactionLogPathFor(outPdf);
+    fs.writeFileSync(
+      logFile,
+      formatRedactionLog(redacted.log, { style: REDACTOR.style, source: path.basename(inFile) }),
+      "utf8"
+    );
+    console.log(`${formatRedactionSummary(redacted.log)} → ${logFile}`);
   }
 
-  /* Ensure images never render into PDF */
-  img, picture, video, svg { display: none !important; }
-
-  @media print{
-    body{ background: white; color: #111; }
-    .wrap{ padding: 0; }
-    .header{
-      background: #fff;
-      border-color: #ddd;
-      box-shadow: none;
-    }
-    .bubble{
-      background: #fff !important;
-      border-color: #ddd;
-      box-shadow: none;
-    }
-    .meta{ color: #111; }
-    .badge{
-      color: #111;
-      background: #f2f2f2;
-      border-color: #e0e0e0;
-    }
-    .files{
-      background: #f7f7f7;
-      border-color: #d9d9d9;
-    }
-    .content a{ color: #0b5ed7; }
-    .content code, .content pre{
-      background: #f4f4f4;
-      border-color: #e2e2e2;
-    }
-    .content blockquote{
-      background: #f7f7f7;
-      border-left-color: #bbb;
-    }
-    .content table{ border-color: #e2e2e2; }
-    .content th, .content td{ border-bottom-color: #e2e2e2; }
-  }
-</style>
-</head>
-<body>
-  <div class="wrap">
-    <div class="header">
-      <p class="title">Chat Transcript: ${path.basename(inFile).replace(/\.html$/i, "")} (rehydrated, images stripped)</p>
-      <p class="summary">
-        Turns: <strong>${totalTurns}</strong> • Messages: <strong>${totalMessages}</strong> •
-        User msgs: <strong>${totalUsers}</strong> • Assistant msgs: <strong>${totalAssistants}</strong> •
-        (Images generated ≈ User−Assistant): <strong>${totalUsers - totalAssistants}</strong>
-      </p>
-    </div>
-
-    ${body}
-  </div>
-</body>
-</html>`;
+  // Embed / copy images for the rendered transcript (the archive keeps the originals)
+  if (IMAGES === "inline" || IMAGES === "sidecar") {
+    const kept = await preserveImages(page, renderMessages, {
+      policy: IMAGES,
+      budgetBytes: IMAGE_BUDGET,
+      assetsDir: assetsDirFor(outPdf),
+      htmlDir: path.dirname(path.resolve(outPdf)),
+    });
+    renderMessages = kept.messages;
+    console.log(formatImageStats(IMAGES, kept.stats));
+  }
+
+  const exportedAt = new Date().toISOString();
+  const transcript = {
+    title: path.basename(inFile).replace(/\.html$/i, ""),
+    source: path.basename(inFile),
+    exportedAt,
+    messages: renderMessages,
+    totals: {
+      turns: totalTurns,
+      messages: totalMessages,
+      user: totalUsers,
+      assistant: totalAssistants,
+    },
+    headerHtml: renderReportHtml(report),
+    opts: {
+      ...IMAGE_POLICIES[IMAGES],
+      alternates: ALTERNATES,
+      theme: opts.theme,
+      customCss: CUSTOM_CSS,
+      highlight: opts.highlight,
+      lineNumbers: opts.lineNumbers,
+      codeWrap: opts.codeWrap,
+      toc: opts.toc,
+    },
+  };
+
+  const printHtml = renderTranscriptHtml(transcript);
 
 // Optional: also save the rehydrated transcript as standalone HTML
 const outHtml =
   outPdf.replace(/\.pdf$/i, "") + ".html";
 
-fs.writeFileSync(outHtml, printHtml, "utf8");
+if (!opts.pdfOnly) {
+  fs.writeFileSync(outHtml, printHtml, "utf8");
+  console.log(`Saved HTML transcript → ${outHtml}`);
+}
+
+  // Dehydrated JSON archive (same harvest, re-renderable without the saved page)
+  const outJson = archivePathFor(outPdf);
+  writeArchive(
+    outJson,
+    buildArchive({
+      sourceFile: inFile,
+      snapshots: inFiles,
+      turnsSorted,
+      numbered,
+      exportedAt,
+      harvest: {
+        mode: PREVIOUS ? "update" : HARVEST_MODE,
+        adapters: Array.from(adaptersUsed),
+        missingTurnNums,
+        ...(update ? { update } : {}),
+      },
+    })
+  );
+  console.log(`Saved JSON archive → ${outJson}`);
+
+  if (wantMarkdown) {
+    const outMd = markdownPathFor(outPdf);
+    fs.writeFileSync(outMd, renderTranscriptMarkdown(transcript), "utf8");
+    console.log(`Saved Markdown transcript → ${outMd}`);
+  }
 
-console.log(`Saved HTML transcript → ${outHtml}`);
+  if (opts.viewer) {
+    const outViewer = viewerPathFor(outPdf);
+    fs.writeFileSync(outViewer, renderViewerHtml(transcript), "utf8");
+    console.log(`Saved HTML viewer → ${outViewer}`);
+  }
 
   // Replace page with lightweight transcript, then print to PDF
-  await page.setContent(printHtml, { waitUntil: "load" });
-
-  await page.pdf({
-    path: outPdf,
-    format: "A4",
-    printBackground: true,
-    margin: { top: "12mm", right: "12mm", bottom: "18mm", left: "12mm" }, // room for footer
-    displayHeaderFooter: true,
-    headerTemplate: `<div></div>`,
-    footerTemplate,
-    timeout: 0,
-  });
+  if (!opts.htmlOnly) {
+    await printTranscriptPdf(page, printHtml, outPdf, {
+      fromFile: IMAGES === "sidecar" ? outHtml : null,
+      pdf: pdfSettings(opts),
+      templates: { header: opts.header, footer: opts.footer },
+    });
+  }
 
   console.log(
-    `Captured turns: ${totalTurns}, messages: ${totalMessages} (user ${totalUsers}, assistant ${totalAssistants}) → ${outPdf}`
+    `Captured turns: ${totalTurns}, messages: ${totalMessages} (user ${totalUsers}, assistant ${totalAssistants}) → ` +
+      (opts.htmlOnly ? outHtml : outPdf)
   );
 
   await browser.close();
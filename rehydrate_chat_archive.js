@@ -0,0 +1,196 @@
+/**
+ * rehydrate_chat_archive.js
+ *
+ * Purpose:
+ *   Rebuild the lightweight transcript from a dehydrated JSON archive
+ *   (written by reconstitute_HCI_chats_final.js next to its PDF), without
+ *   loading or scrolling the original saved ChatGPT page.
+ *
+ *   Output:
+ *     - Transcript HTML (same layout and counters as the exporter)
+ *     - Transcript PDF (optional; only then is Chromium launched)
+ *     - Markdown transcript (optional, --markdown → out.md)
+ *     - Searchable interactive viewer (optional, --viewer → out.viewer.html)
+ *
+ * Usage:
+ *   node rehydrate_chat_archive.js chat.json out.html
+ *   node rehydrate_chat_archive.js chat.json out.html out.pdf
+ *   node rehydrate_chat_archive.js chat.json out.html --pdf
+ *   node rehydrate_chat_archive.js chat.json out.html --markdown
+ *   node rehydrate_chat_archive.js chat.json out.html --viewer
+ *   node rehydrate_chat_archive.js chat.json out.html --alternates appendix
+ *   node rehydrate_chat_archive.js chat.json out.html --theme light --css team.css
+ *   node rehydrate_chat_archive.js chat.json out.html --line-numbers --no-code-wrap
+ *   node rehydrate_chat_archive.js chat.json out.html --pdf --paper Letter --landscape
+ *   node rehydrate_chat_archive.js --help
+ *
+ * Notes:
+ *   - Counters are taken from the archive as-is; nothing is renumbered.
+ *   - The completeness report is recomputed from the archive and shown in the header.
+ *   - With --pdf and no explicit PDF path, the PDF is written next to out.html.
+ *   - Other versions of regenerated/edited turns are shown per --alternates
+ *     (collapsible, the default; appendix; none).
+ *   - Theme, code, paper / margin / header / footer and output options are
+ *     shared with the exporter; defaults can come from a config file
+ *     ("rehydrate" section, see chat_cli_options.js).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { readArchive, archiveMessages } = require("./chat_archive");
+const {
+  RENDER_DEFAULTS,
+  ALTERNATES_MODES,
+  renderTranscriptHtml,
+  printTranscriptPdf,
+} = require("./transcript_render");
+const { renderTranscriptMarkdown, markdownPathFor } = require("./transcript_markdown");
+const { renderViewerHtml, viewerPathFor } = require("./transcript_viewer");
+const { buildCompletenessReport, formatReportText, renderReportHtml } = require("./completeness_report");
+const {
+  PDF_OPTIONS,
+  THEME_OPTIONS,
+  CODE_OPTIONS,
+  readCssFile,
+  parseCommandLine,
+  pdfSettings,
+  outputPath,
+} = require("./chat_cli_options");
+
+const CLI = {
+  command: "rehydrate",
+  usage: [
+    "node rehydrate_chat_archive.js chat.json out.html [out.pdf] [options]",
+    "node rehydrate_chat_archive.js chat.json out.html --pdf --markdown --viewer",
+  ],
+  options: [
+    { flag: "--pdf", type: "boolean", default: false, help: "Also print a PDF next to out.html (out.pdf)" },
+    { flag: "--markdown", type: "boolean", default: false, help: "Also write a Markdown transcript (out.md)" },
+    {
+      flag: "--viewer",
+      type: "boolean",
+      default: false,
+      help: "Also write a searchable interactive HTML viewer (out.viewer.html)",
+    },
+    {
+      flag: "--alternates",
+      type: "string",
+      default: RENDER_DEFAULTS.alternates,
+      choices: ALTERNATES_MODES,
+      help: "Other versions of regenerated/edited turns",
+    },
+    {
+      flag: "--toc",
+      type: "boolean",
+      default: true,
+      help: "Table of contents and PDF bookmarks, one entry per user prompt (--no-toc: none)",
+    },
+    ...THEME_OPTIONS,
+    ...CODE_OPTIONS,
+    ...PDF_OPTIONS,
+  ],
+};
+
+(async () => {
+  const { opts, positional } = parseCommandLine(CLI);
+  const inJson = positional[0];
+  const outHtml = positional[1] && outputPath(positional[1], opts.outDir);
+
+  if (!inJson || !outHtml) {
+    console.error(`Usage:\n${CLI.usage.map((u) => `  ${u}`).join("\n")}\nRun with --help for the list of options.`);
+    process.exit(1);
+  }
+
+  const archive = readArchive(inJson);
+  const messages = archiveMessages(archive);
+
+  const sourceName = archive.source && archive.source.file
+    ? archive.source.file
+    : path.basename(inJson);
+
+  const report = buildCompletenessReport({ turnsSorted: archive.turns, numbered: messages });
+  console.log(formatReportText(report));
+
+  const transcript = {
+    title: archive.title || sourceName.replace(/\.(html|json)$/i, ""),
+    source: sourceName,
+    exportedAt: archive.exportedAt,
+    messages,
+    totals: archive.totals,
+    headerHtml: renderReportHtml(report),
+    opts: {
+      ...RENDER_DEFAULTS,
+      alternates: opts.alternates,
+      theme: opts.theme,
+      customCss: readCssFile(opts.css),
+      highlight: opts.highlight,
+      lineNumbers: opts.lineNumbers,
+      codeWrap: opts.codeWrap,
+      toc: opts.toc,
+    },
+  };
+
+  const printHtml = renderTranscriptHtml(transcript);
+
+  if (!opts.pdfOnly) {
+    fs.writeFileSync(outHtml, printHtml, "utf8");
+    console.log(`Saved HTML transcript → ${outHtml}`);
+  }
+
+  if (opts.markdown) {
+    const outMd = markdownPathFor(outHtml);
+    fs.writeFileSync(outMd, renderTranscriptMarkdown(transcript), "utf8");
+    console.log(`Saved Markdown transcript → ${outMd}`);
+  }
+
+  if (opts.viewer) {
+    const outViewer = viewerPathFor(outHtml);
+    fs.writeFileSync(outViewer, renderViewerHtml(transcript), "utf8");
+    console.log(`Saved HTML viewer → ${outViewer}`);
+  }
+
+  // --pdf-only implies a PDF; --html-only skips it even when out.pdf is given
+  const outPdf = opts.htmlOnly
+    ? null
+    : positional[2]
+    ? outputPath(positional[2], opts.outDir)
+    : opts.pdf || opts.pdfOnly
+    ? outHtml.replace(/\.html$/i, "") + ".pdf"
+    : null;
+  if (outPdf) {
+    // Only the PDF step needs a browser
+    const puppeteer = require("puppeteer");
+    const browser = await puppeteer.launch({
+      headless: "new",
+      args: [
+        "--disable-gpu",
+        "--no-first-run",
+        "--no-default-browser-check",
+        "--disable-dev-shm-usage",
+        // If Chromium hard-crashes in WSL/containers, uncomment:
+        // "--no-sandbox",
+        // "--no-zygote",
+      ],
+    });
+
+    const page = await browser.newPage();
+    page.setDefaultTimeout(opts.timeout);
+    page.setDefaultNavigationTimeout(opts.timeout);
+
+    await printTranscriptPdf(page, printHtml, outPdf, {
+      pdf: pdfSettings(opts),
+      templates: { header: opts.header, footer: opts.footer },
+    });
+    console.log(`Saved PDF transcript → ${outPdf}`);
+
+    await browser.close();
+  }
+
+  console.log(
+    `Rehydrated turns: ${archive.totals.turns}, messages: ${messages.length} ` +
+      `(user ${archive.totals.user}, assistant ${archive.totals.assistant}) from ${inJson}`
+  );
+})().catch((err) => {
+  console.error("Rehydrate failed:", err);
+  process.exit(1);
+});
@@ -0,0 +1,162 @@
+/**
+ * search_chat_library.js
+ *
+ * Purpose:
+ *   "Which conversation discussed X?" across a directory of exported chats
+ *   (JSON archives and transcript HTML, see chat_library.js), without
+ *   grepping HTML.
+ *
+ *   Output (one line per hit, grouped by transcript):
+ *     chat-2024-05  (exports/chat-2024-05.json)
+ *       #123  U045  …we moved the «redis» cluster to…
+ *
+ *   --keep prints the hits as a --keep spec for Gleaning_ChatGPT_selections.js
+ *   instead, so they can be piped straight into a crop.
+ *
+ * Usage:
+ *   node search_chat_library.js exports/ redis
+ *   node search_chat_library.js exports/ '"cluster failover" redis' --role assistant
+ *   node search_chat_library.js exports/ redis postgres --any --limit 0
+ *   node search_chat_library.js exports/ redis --json
+ *   node search_chat_library.js exports/ redis --transcript chat-2024-05 --keep --paired \
+ *     | node Gleaning_ChatGPT_selections.js exports/chat-2024-05.html redis.html --keep-file -
+ *
+ * Notes:
+ *   - The index is kept in exports/chat_library.index.json (--index to move it)
+ *     and updated on every run; only new or changed files are read again.
+ *     --reindex rebuilds it.
+ *   - Words and "quoted phrases" are case-insensitive; all must occur in the
+ *     message (--any: one is enough).
+ *   - --keep needs the hits to come from one transcript (narrow down with
+ *     --transcript). The spec holds original global indexes, so it crops the
+ *     archive's transcript HTML as well (rehydrate_chat_archive.js first if
+ *     there is none).
+ *   - Index notes and summaries go to stderr, so stdout can be piped.
+ */
+
+const fs = require("fs");
+const {
+  updateLibraryIndex,
+  searchLibrary,
+  keepSpecFor,
+} = require("./chat_library");
+const { parseCommandLine } = require("./chat_cli_options");
+
+const CLI = {
+  command: "library",
+  usage: [
+    "node search_chat_library.js library_dir query [more query words ...] [options]",
+    "node search_chat_library.js exports/ redis --transcript chat-2024-05 --keep | node Gleaning_ChatGPT_selections.js exports/chat-2024-05.html out.html --keep-file -",
+  ],
+  options: [
+    { flag: "--any", type: "boolean", default: false, help: "Hit when any word / phrase occurs (default: all)" },
+    {
+      flag: "--role",
+      type: "string",
+      default: null,
+      choices: ["user", "assistant"],
+      help: "Only messages of this role",
+    },
+    {
+      flag: "--transcript",
+      type: "string",
+      arg: "name",
+      default: null,
+      help: "Only transcripts whose path contains this",
+    },
+    { flag: "--limit", type: "int", default: 50, help: "Hits to print (0 = all)" },
+    { flag: "--context", type: "int", arg: "chars", default: 80, help: "Snippet length around the hit" },
+    { flag: "--json", type: "boolean", default: false, help: "Print the hits as JSON" },
+    {
+      flag: "--keep",
+      type: "boolean",
+      default: false,
+      help: "Print a --keep spec for Gleaning_ChatGPT_selections.js instead of the hits",
+    },
+    { flag: "--paired", type: "boolean", default: false, help: "With --keep: also keep each hit's reply / prompt" },
+    { flag: "--index", type: "string", arg: "file", default: null, help: "Index file (default: in the library)" },
+    { flag: "--reindex", type: "boolean", default: false, help: "Rebuild the index from scratch" },
+  ],
+};
+
+const roleBadge = (h) =>
+  `${h.role === "user" ? "U" : h.role === "assistant" ? "A" : "?"}${h.roleIdx == null ? "???" : String(h.roleIdx).padStart(3, "0")}`;
+
+function byTranscript(hits) {
+  const groups = new Map();
+  for (const h of hits) {
+    if (!groups.has(h.file)) groups.set(h.file, []);
+    groups.get(h.file).push(h);
+  }
+  return groups;
+}
+
+(async () => {
+  const { opts, positional } = parseCommandLine(CLI);
+  const [dir, ...words] = positional;
+  const query = words.join(" ");
+
+  if (!dir || !query.trim()) {
+    console.error(`Usage: ${CLI.usage[0]}\nRun with --help for the list of options.`);
+    process.exit(1);
+  }
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+    console.error(`Library directory not found: ${dir}`);
+    process.exit(1);
+  }
+
+  const { index, stats } = updateLibraryIndex(dir, { indexFile: opts.index, rebuild: opts.reindex });
+  if (stats.updated || stats.removed) {
+    console.error(
+      `Indexed ${stats.updated} new/changed file(s)` +
+        (stats.removed ? `, dropped ${stats.removed}` : "") +
+        ` (${stats.transcripts} transcripts, ${stats.messages} messages; ${stats.skipped} other files skipped)`
+    );
+  }
+
+  const hits = searchLibrary(index, query, {
+    any: opts.any,
+    role: opts.role,
+    transcript: opts.transcript,
+    width: opts.context,
+  });
+  const groups = byTranscript(hits);
+
+  if (opts.keep) {
+    if (groups.size !== 1) {
+      console.error(
+        groups.size
+          ? `Hits in ${groups.size} transcripts; pick one with --transcript:\n` +
+              Array.from(groups.keys(), (f) => `  ${f}`).join("\n")
+          : `No hits for ${JSON.stringify(query)}`
+      );
+      process.exit(1);
+    }
+    const [[file, fileHits]] = groups;
+    // Comment lines are skipped by the --keep parser (keep_spec.js)
+    console.log(`# ${fileHits.length} hit(s) for ${JSON.stringify(query)} in ${file}`);
+    console.log(keepSpecFor(fileHits.map((h) => h.globalIdx), { paired: opts.paired }));
+    return;
+  }
+
+  const shown = opts.limit > 0 ? hits.slice(0, opts.limit) : hits;
+
+  if (opts.json) {
+    console.log(JSON.stringify(shown, null, 2));
+  } else {
+    for (const [file, fileHits] of byTranscript(shown)) {
+      console.log(`${fileHits[0].title}  (${file})`);
+      for (const h of fileHits) {
+        console.log(`  #${h.globalIdx}  ${roleBadge(h)}  ${h.snippet}`);
+      }
+    }
+  }
+
+  console.error(
+    `${hits.length} hit(s) in ${groups.size} transcript(s)` +
+      (shown.length < hits.length ? `; first ${shown.length} shown (--limit 0 for all)` : "")
+  );
+})().catch((err) => {
+  console.error("Library search failed:", err);
+  process.exit(1);
+});
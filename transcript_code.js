@@ -0,0 +1,216 @@
+/**
+ * transcript_code.js
+ *
+ * Code blocks in the rendered transcript. ChatGPT wraps every block in UI
+ * chrome (language header, "Copy code" button, sticky toolbar) that prints as
+ * stray text; normalizeCodeBlocks() replaces each <pre> with a clean block:
+ *
+ *   <div class="codeBlock softWrap" data-lang="python">
+ *     <div class="codeLang">python</div>
+ *     <pre><code class="hljs language-python">...</code></pre>
+ *   </div>
+ *
+ * Language: class="language-x" on the code, else ChatGPT's header label, else
+ * highlight.js auto-detection (left unlabeled when it is not confident).
+ *
+ * Highlighting runs here, at render time, with highlight.js: the output is
+ * static <span class="hljs-..."> colored by the theme's --hl-* variables, so
+ * it needs no script and looks the same in the PDF. Without the highlight.js
+ * package, code is printed plain (and unlabeled unless the source names the
+ * language).
+ *
+ * Render opts (transcript_render.js RENDER_DEFAULTS):
+ *   highlight   color the code (default true)
+ *   lineNumbers number the lines (default false)
+ *   codeWrap    soft-wrap long lines instead of cutting them off at the page
+ *               edge (default true)
+ */
+
+const cheerio = require("cheerio");
+const { escapeHtml, escapeAttr } = require("./html_escape");
+
+let hljsLib; // undefined: not loaded yet, null: not installed
+
+function loadHighlighter() {
+  if (hljsLib === undefined) {
+    try {
+      hljsLib = require("highlight.js");
+    } catch {
+      hljsLib = null;
+    }
+  }
+  return hljsLib;
+}
+
+// Candidates for auto-detection (all 190 languages are slow and guess wildly)
+const AUTO_LANGUAGES = [
+  "bash", "c", "cpp", "csharp", "css", "diff", "go", "java", "javascript", "json",
+  "kotlin", "markdown", "php", "python", "ruby", "rust", "shell", "sql", "swift",
+  "typescript", "xml", "yaml",
+];
+
+// Below this highlight.js relevance an auto-detected language is not shown
+const AUTO_MIN_RELEVANCE = 5;
+
+// "python" from class="hljs language-python" (or lang-/brush: variants)
+function codeLanguage($, pre) {
+  const code = $(pre).find("code").first();
+  const cls = `${code.attr("class") || ""} ${$(pre).attr("class") || ""}`;
+  const m = cls.match(/(?:^|\s)(?:language|lang)-([\w+#.-]+)/i);
+  if (m) return m[1].toLowerCase();
+
+  // ChatGPT puts the language label in a header div above the code
+  const label = $(pre).children("div").first().children("div").first().text().trim();
+  return /^[\w+#.-]{1,24}$/.test(label) ? label.toLowerCase() : "";
+}
+
+/**
+ * Highlighted HTML of code: { lang, html }. lang is the label to show ("" when
+ * unknown); html is escaped plain text when highlighting is off, highlight.js
+ * is not installed or the language is not one it knows.
+ */
+function highlightCode(text, lang, highlight = true) {
+  const hljs = highlight ? loadHighlighter() : null;
+  if (!hljs) return { lang, html: escapeHtml(text) };
+
+  if (lang) {
+    if (!hljs.getLanguage(lang)) return { lang, html: escapeHtml(text) };
+    return { lang, html: hljs.highlight(text, { language: lang, ignoreIllegals: true }).value };
+  }
+
+  const auto = hljs.highlightAuto(text, AUTO_LANGUAGES);
+  return auto.relevance >= AUTO_MIN_RELEVANCE
+    ? { lang: auto.language, html: auto.value }
+    : { lang: "", html: escapeHtml(text) };
+}
+
+// Split highlighted HTML into lines; spans open across a line break are
+// closed at the end of the line and reopened on the next
+function splitLines(html) {
+  const lines = [];
+  const open = [];
+  let cur = "";
+  for (const tok of html.split(/(<span[^>]*>|<\/span>|\n)/)) {
+    if (tok === "\n") {
+      lines.push(cur + "</span>".repeat(open.length));
+      cur = open.join("");
+    } else if (tok.startsWith("<span")) {
+      open.push(tok);
+      cur += tok;
+    } else if (tok === "</span>") {
+      open.pop();
+      cur += tok;
+    } else {
+      cur += tok;
+    }
+  }
+  lines.push(cur);
+  return lines;
+}
+
+function renderCodeBlock(text, lang, { highlight = true, lineNumbers = false, codeWrap = true } = {}) {
+  const code = String(text).replace(/\n$/, "");
+  const out = highlightCode(code, lang, highlight);
+  const body = lineNumbers
+    ? splitLines(out.html)
+        .map((l) => `<span class="line">${l || " "}</span>`)
+        .join("")
+    : out.html;
+
+  const classes = ["codeBlock", codeWrap ? "softWrap" : "", lineNumbers ? "numbered" : ""]
+    .filter(Boolean)
+    .join(" ");
+  const langAttr = out.lang ? ` data-lang="${escapeAttr(out.lang)}"` : "";
+  const codeClass = out.lang ? `hljs language-${escapeAttr(out.lang)}` : "hljs";
+
+  return (
+    `<div class="${classes}"${langAttr}>` +
+    (out.lang ? `<div class="codeLang">${escapeHtml(out.lang)}</div>` : "") +
+    `<pre><code class="${codeClass}">${body}</code></pre>` +
+    `</div>`
+  );
+}
+
+/**
+ * Replace every <pre> in a message's html with a normalized code block.
+ */
+function normalizeCodeBlocks(html, opts = {}) {
+  if (!html || !/<pre\b/i.test(html)) return html;
+  const $ = cheerio.load(html, null, false);
+
+  for (const el of $("pre").toArray()) {
+    const pre = $(el);
+    if (pre.parents("pre").length) continue; // handled with its outer block
+    const code = pre.find("code").first();
+    const text = code.length ? code.text() : pre.text();
+    pre.replaceWith(renderCodeBlock(text, codeLanguage($, el), opts));
+  }
+  return $.html();
+}
+
+// Layout of normalized code blocks (colors come from the theme variables)
+const CODE_CSS = `
+  .codeBlock{
+    margin: 12px 0;
+    background: var(--code-bg);
+    border: 1px solid var(--pre-border);
+    border-radius: var(--radius);
+    overflow: hidden;
+    break-inside: auto;
+  }
+  .codeLang{
+    padding: 5px 14px;
+    font-family: var(--mono);
+    font-size: 12px;
+    opacity: .75;
+    border-bottom: 1px solid var(--pre-border);
+  }
+  .content .codeBlock pre{
+    margin: 0;
+    border: 0;
+    border-radius: 0;
+    background: transparent;
+  }
+  .codeBlock.softWrap pre{
+    white-space: pre-wrap;
+    overflow-wrap: anywhere;
+  }
+  .codeBlock.numbered code{ counter-reset: line; }
+  .codeBlock.numbered .line{
+    display: block;
+    padding-left: 3.4em;
+  }
+  .codeBlock.numbered .line::before{
+    counter-increment: line;
+    content: counter(line);
+    display: inline-block;
+    width: 2.6em;
+    margin-left: -3.4em;
+    margin-right: .8em;
+    text-align: right;
+    opacity: .45;
+    user-select: none;
+  }
+
+  /* Syntax colors */
+  .hljs-keyword, .hljs-selector-tag, .hljs-literal, .hljs-doctag{ color: var(--hl-keyword); }
+  .hljs-string, .hljs-regexp, .hljs-char, .hljs-template-tag{ color: var(--hl-string); }
+  .hljs-number, .hljs-symbol, .hljs-bullet{ color: var(--hl-number); }
+  .hljs-comment, .hljs-quote{ color: var(--hl-comment); font-style: italic; }
+  .hljs-title, .hljs-section, .hljs-selector-id, .hljs-selector-class{ color: var(--hl-title); }
+  .hljs-attr, .hljs-attribute, .hljs-property, .hljs-variable, .hljs-params{ color: var(--hl-attr); }
+  .hljs-built_in, .hljs-type, .hljs-class{ color: var(--hl-builtin); }
+  .hljs-meta, .hljs-tag, .hljs-name{ color: var(--hl-meta); }
+  .hljs-addition{ color: var(--hl-add); }
+  .hljs-deletion{ color: var(--hl-del); }
+  .hljs-emphasis{ font-style: italic; }
+  .hljs-strong{ font-weight: 700; }
+`;
+
+module.exports = {
+  codeLanguage,
+  highlightCode,
+  renderCodeBlock,
+  normalizeCodeBlocks,
+  CODE_CSS,
+};
@@ -0,0 +1,284 @@
+/**
+ * transcript_crop.js
+ *
+ * The crop step of Gleaning_ChatGPT_selections.js, done offline with a
+ * lightweight HTML parser (cheerio) instead of a headless browser.
+ *
+ * Keeps ONLY the selected ORIGINAL global message indexes of a rehydrated
+ * transcript, leaves the original counters untouched, and adds "KEEP k/N"
+ * to each kept message's meta line. A table of contents, if the transcript
+ * has one, is rebuilt for the kept user prompts.
+ */
+
+const cheerio = require("cheerio");
+const {
+  THEME_STYLE_ID,
+  CUSTOM_STYLE_ID,
+  themeCss,
+  safeStyleText,
+} = require("./transcript_themes");
+const { tocSnippet, renderToc } = require("./transcript_render");
+const { searchableText } = require("./transcript_viewer");
+
+// Selectors based on your rehydrated transcript
+const TURN_SEL = ".turn";
+const GLOBAL_SEL = ".global"; // "#123"
+const META_SEL = ".meta"; // metadata line container
+const HEADER_SEL = ".header";
+const SUMMARY_SEL = ".summary";
+const BADGE_SEL = ".badge"; // "User 12" / "Assistant 7"
+const CONTENT_SEL = ".content";
+const TOC_SEL = "nav.toc";
+
+const KEEP_STYLE_ID = "keepCounterStyle";
+
+// KEEP counter styling: the theme's badge variables (screen and print);
+// the fallbacks are the old dark/print colors for transcripts without a theme
+const KEEP_COUNTER_CSS = `
+      .keepDot{
+        margin-left: 4px;
+        margin-right: 0px;
+        opacity: 0.85;
+      }
+      .keepCounter{
+        font-weight: 950;
+        letter-spacing: .02em;
+        padding: 2px 10px;
+        border-radius: 999px;
+        border: 1px solid var(--badge-border, rgba(255,255,255,.14));
+        background: var(--badge-bg, rgba(255,255,255,.06));
+      }
+      @media print{
+        .keepCounter{
+          border-color: var(--badge-border, #e0e0e0);
+          background: var(--badge-bg, #f2f2f2);
+          color: var(--text, #111);
+        }
+      }
+    `;
+
+// Replace (or add) a <style id> in the head
+function setStyle($, id, css) {
+  const existing = $(`#${id}`);
+  if (existing.length) existing.text(css);
+  else $("head").append($(`<style id="${id}"></style>`).text(css));
+}
+
+// data-* attributes written by the exporter; older transcripts only have the text
+const intAttr = (el, name) => {
+  const v = el.attr(name);
+  return v != null && /^\d+$/.test(v) ? Number(v) : null;
+};
+
+function parseOriginalGlobalIndex($, turn) {
+  const fromAttr = intAttr($(turn), "data-global-idx");
+  if (fromAttr != null) return fromAttr;
+
+  const g = $(turn).find(GLOBAL_SEL).first();
+  if (!g.length) return null;
+  const m = (g.text() || "").match(/#\s*(\d+)/);
+  return m ? Number(m[1]) : null;
+}
+
+function turnRole($, turn) {
+  const t = $(turn);
+  if (t.attr("data-role")) return t.attr("data-role");
+  if (t.hasClass("user")) return "user";
+  if (t.hasClass("assistant")) return "assistant";
+  return (t.attr("class") || "").replace(/\bturn\b/, "").trim().split(/\s+/)[0] || "unknown";
+}
+
+function parseRoleIndex($, turn) {
+  const fromAttr = intAttr($(turn), "data-role-idx");
+  if (fromAttr != null) return fromAttr;
+
+  const badge = $(turn).find(BADGE_SEL).first().text() || "";
+  const m = badge.match(/(\d+)/);
+  return m ? Number(m[1]) : null;
+}
+
+/**
+ * Exchange number per message ([{ role, turnId }] in order): a user message
+ * opens a new exchange and the assistant/other messages after it belong to
+ * it, the same user -> assistant -> others grouping the exporter flattens per
+ * turn. Messages sharing an original turnId never get split.
+ */
+function exchangeNumbers(items) {
+  let n = 0;
+  return items.map((it, i) => {
+    const prev = items[i - 1];
+    const sameTurn = prev && it.turnId && it.turnId === prev.turnId;
+    if (i === 0 || (it.role === "user" && !sameTurn)) n++;
+    return n;
+  });
+}
+
+const turnItem = ($, t) => ({ role: turnRole($, t), turnId: $(t).attr("data-turn-id") || null });
+
+/**
+ * The transcript's messages as seen by the --keep language:
+ * [{ globalIdx, role, roleIdx, turnId, msgId, exchange, text, searchText }]
+ * in document order. Reads the data-* attributes first and falls back to
+ * scraping the labels. searchText is the content as the viewer and the
+ * library search it (transcript_viewer.js).
+ */
+function readTranscriptMessages(input) {
+  const $ = cheerio.load(input);
+  const turns = $(TURN_SEL).toArray();
+  const items = turns.map((t) => turnItem($, t));
+  const exchanges = exchangeNumbers(items);
+
+  return turns.map((t, i) => ({
+    globalIdx: parseOriginalGlobalIndex($, t),
+    role: items[i].role,
+    roleIdx: parseRoleIndex($, t),
+    turnId: items[i].turnId,
+    msgId: $(t).attr("data-msg-id") || null,
+    exchange: exchanges[i],
+    text: $(t).find(CONTENT_SEL).first().text() || "", // not the alternates' content
+    searchText: searchableText($, $(t).find(CONTENT_SEL).first()),
+  }));
+}
+
+/**
+ * Crop transcript HTML to the ORIGINAL global indexes in keepSet.
+ *   opts.countBy: "messages" (KEEP k/N per message, default) or
+ *                 "exchanges" (k/N per user -> assistant exchange; every
+ *                 message of an exchange shows the same k)
+ *   opts.theme:     re-theme the output (transcript_themes.js); the transcript
+ *                   must have been rendered with theme variables
+ *   opts.customCss: replace / add the user CSS block
+ * Returns { html, kept, removed, remaining, exchanges, missingIndexKept }.
+ */
+function cropTranscriptHtml(input, keepSet, opts = {}) {
+  const countBy = opts.countBy || "messages";
+  const $ = cheerio.load(input);
+
+  // Pass 1: remove non-kept turns (based on ORIGINAL global index)
+  let removed = 0;
+  let kept = 0;
+  let missingIndexKept = 0;
+
+  $(TURN_SEL).each((_, t) => {
+    const idx = parseOriginalGlobalIndex($, t);
+    if (idx == null) {
+      // Safe default: keep if we can't parse original global index
+      $(t).attr("data-crop-warning", "missing-original-global-index");
+      kept++;
+      missingIndexKept++;
+      return;
+    }
+    if (!keepSet.has(idx)) {
+      $(t).remove();
+      removed++;
+    } else {
+      kept++;
+    }
+  });
+
+  // Appendix alternates of removed messages go too
+  $("[data-of-global-idx]").each((_, a) => {
+    const of = intAttr($(a), "data-of-global-idx");
+    if (of != null && !keepSet.has(of)) $(a).remove();
+  });
+  $(".appendix").each((_, el) => {
+    if (!$(el).find(".alt").length) $(el).remove();
+  });
+
+  // Table of contents: only the kept prompts (original U### badges)
+  const toc = $(TOC_SEL).first();
+  if (toc.length) {
+    const entries = $(TURN_SEL)
+      .toArray()
+      .filter((t) => turnRole($, t) === "user")
+      .map((t) => ({
+        globalIdx: parseOriginalGlobalIndex($, t),
+        userIdx: parseRoleIndex($, t),
+        snippet: tocSnippet($(t).find(CONTENT_SEL).first().text()),
+      }))
+      .filter((e) => e.globalIdx != null);
+    const rebuilt = renderToc(entries);
+    if (rebuilt) toc.replaceWith(rebuilt);
+    else toc.remove();
+  }
+
+  // Pass 2: add NEW cropped counter: "KEEP k/N"
+  const remaining = $(TURN_SEL).toArray();
+  const totalKept = remaining.length;
+  const exchanges = exchangeNumbers(remaining.map((t) => turnItem($, t)));
+  const totalExchanges = exchanges.length ? exchanges[exchanges.length - 1] : 0;
+  const byExchange = countBy === "exchanges";
+  const total = byExchange ? totalExchanges : totalKept;
+
+  remaining.forEach((t, i) => {
+    const k = byExchange ? exchanges[i] : i + 1;
+
+    // Put KEEP counter into meta line without touching original counters
+    const meta = $(t).find(META_SEL).first();
+    if (!meta.length) return;
+
+    // Avoid double-inserting if script is run twice
+    const existing = meta.find(".keepCounter");
+    if (existing.length) {
+      existing.text(`KEEP ${k}/${total}`);
+      return;
+    }
+
+    meta.append(`<span class="keepDot">•</span>`);
+    meta.append($(`<span class="keepCounter"></span>`).text(`KEEP ${k}/${total}`));
+  });
+
+  // Update header summary to include both "original-crossref" nature and kept counts
+  const header = $(HEADER_SEL).first();
+  const summary = $(SUMMARY_SEL).first();
+
+  if (summary.length) {
+    // We cannot reliably recompute original totals from cropped set, so we report:
+    summary.html(
+      `
+        Cropped messages: <strong>${totalKept}</strong> • Exchanges: <strong>${totalExchanges}</strong> • Removed: <strong>${removed}</strong>
+        ${missingIndexKept ? `• Kept-without-original-index: <strong>${missingIndexKept}</strong>` : ``}
+      `.trim()
+    );
+  }
+
+  if (header.length) {
+    // Add a note explaining counters
+    const noteId = "keepCounterNote";
+    let note = header.find(`#${noteId}`);
+    if (!note.length) {
+      note = $(
+        `<div id="${noteId}" style="margin-top: 8px; font-size: 12px; font-weight: 750; opacity: 0.95;"></div>`
+      );
+      header.append(note);
+    }
+    note.text(
+      byExchange
+        ? "Original counters preserved for cross-reference; added KEEP k/N counting cropped exchanges (user prompt + replies)."
+        : "Original counters preserved for cross-reference; added KEEP k/N for cropped sequence."
+    );
+  }
+
+  // Inject the KEEP counter style once, without otherwise modifying the layout
+  if (!$(`#${KEEP_STYLE_ID}`).length) {
+    $("head").append(`<style id="${KEEP_STYLE_ID}">${KEEP_COUNTER_CSS}</style>`);
+  }
+
+  if (opts.theme) setStyle($, THEME_STYLE_ID, themeCss(opts.theme));
+  if (opts.customCss) setStyle($, CUSTOM_STYLE_ID, `\n${safeStyleText(opts.customCss)}\n`);
+
+  return {
+    html: $.html(),
+    kept,
+    removed,
+    remaining: totalKept,
+    exchanges: totalExchanges,
+    missingIndexKept,
+  };
+}
+
+module.exports = {
+  cropTranscriptHtml,
+  readTranscriptMessages,
+  parseOriginalGlobalIndex,
+};
@@ -0,0 +1,357 @@
+/**
+ * transcript_diff.js
+ *
+ * What changed between two exports of the same conversation (used by
+ * diff_chat_transcripts.js). Either side can be a JSON archive (rendered
+ * first, as rehydrate_chat_archive.js would) or transcript HTML.
+ *
+ * Messages are matched in three passes, each on what the earlier ones left:
+ *   1. msgId (same role)
+ *   2. turnId + role + position among that role's messages in the turn
+ *      (a regenerated reply keeps its turn but gets a new msgId)
+ *   3. content hash (role + text), for transcripts without ids
+ * Matched messages whose content differs are "changed"; unmatched ones are
+ * "added" (new side) or "removed" (old side). Everything is reported with the
+ * original global indexes of its own export.
+ *
+ * Outputs:
+ *   - text report (formatDiffReport)
+ *   - HTML diff view (renderDiffHtml): the new transcript's added / changed
+ *     messages (word diff of the changes) with the removed ones in place
+ *   - delta transcript (renderDeltaHtml): the new messages only, cropped like
+ *     Gleaning_ChatGPT_selections.js does (original counters + KEEP k/N)
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const cheerio = require("cheerio");
+const { readArchive, archiveMessages } = require("./chat_archive");
+const {
+  RENDER_DEFAULTS,
+  tocSnippet,
+  renderTranscriptHtml,
+} = require("./transcript_render");
+const { readTranscriptMessages, cropTranscriptHtml } = require("./transcript_crop");
+const { keepSpecFor } = require("./chat_library");
+const { escapeHtml } = require("./html_escape");
+
+// Word diffs beyond this many LCS cells show old / new whole instead
+const WORD_DIFF_MAX_CELLS = 4_000_000;
+
+/**
+ * Transcript HTML of one side: { name, html }. JSON archives are rendered
+ * with the default options.
+ */
+function loadTranscriptHtml(file) {
+  const name = path.basename(file);
+  if (!/\.json$/i.test(file)) return { name, html: fs.readFileSync(file, "utf8") };
+
+  const archive = readArchive(file);
+  const source = archive.source && archive.source.file ? archive.source.file : name;
+  return {
+    name,
+    html: renderTranscriptHtml({
+      title: archive.title || source.replace(/\.(html|json)$/i, ""),
+      source,
+      exportedAt: archive.exportedAt,
+      messages: archiveMessages(archive),
+      totals: archive.totals,
+      opts: RENDER_DEFAULTS,
+    }),
+  };
+}
+
+const contentHash = (m) =>
+  crypto.createHash("sha1").update(`${m.role}\n${m.searchText}`).digest("hex");
+
+// Messages of a transcript with what the matching passes need
+function diffSide(html) {
+  const seen = new Map(); // turnId:role -> count
+  return readTranscriptMessages(html).map((m, pos) => {
+    let turnKey = null;
+    if (m.turnId) {
+      const k = `${m.turnId}:${m.role}`;
+      seen.set(k, (seen.get(k) || 0) + 1);
+      turnKey = `${k}:${seen.get(k)}`;
+    }
+    return {
+      ...m,
+      pos,
+      idKey: m.msgId ? `${m.role}:${m.msgId}` : null,
+      turnKey,
+      hash: contentHash(m),
+    };
+  });
+}
+
+/**
+ * Compare two transcripts' HTML. Returns
+ *   { old, new,                               // messages of each side
+ *     pairs: [{ old, new, by, changed }],     // by: "id" | "turn" | "hash"
+ *     added, removed, changed,                // messages / pairs
+ *     unchanged, renumbered }                 // counts
+ */
+function diffTranscripts(oldHtml, newHtml) {
+  const olds = diffSide(oldHtml);
+  const news = diffSide(newHtml);
+  const oldMatch = new Map(); // old pos -> pair
+  const newMatch = new Map(); // new pos -> pair
+
+  const pass = (keyOf, by) => {
+    const pool = new Map();
+    for (const o of olds) {
+      const k = !oldMatch.has(o.pos) && keyOf(o);
+      if (!k) continue;
+      if (!pool.has(k)) pool.set(k, []);
+      pool.get(k).push(o);
+    }
+    for (const n of news) {
+      const k = !newMatch.has(n.pos) && keyOf(n);
+      const queue = k && pool.get(k);
+      if (!queue || !queue.length) continue;
+      const o = queue.shift();
+      const pair = { old: o, new: n, by, changed: o.hash !== n.hash };
+      oldMatch.set(o.pos, pair);
+      newMatch.set(n.pos, pair);
+    }
+  };
+  pass((m) => m.idKey, "id");
+  pass((m) => m.turnKey, "turn");
+  pass((m) => m.hash, "hash");
+
+  const pairs = news.filter((n) => newMatch.has(n.pos)).map((n) => newMatch.get(n.pos));
+  const changed = pairs.filter((p) => p.changed);
+  return {
+    old: olds,
+    new: news,
+    pairs,
+    added: news.filter((n) => !newMatch.has(n.pos)),
+    removed: olds.filter((o) => !oldMatch.has(o.pos)),
+    changed,
+    unchanged: pairs.length - changed.length,
+    renumbered: pairs.filter((p) => p.old.globalIdx !== p.new.globalIdx).length,
+  };
+}
+
+const badge = (m) =>
+  `${m.role === "user" ? "U" : m.role === "assistant" ? "A" : "?"}${m.roleIdx == null ? "???" : String(m.roleIdx).padStart(3, "0")}`;
+
+const idx = (m) => (m.globalIdx == null ? "#?" : `#${m.globalIdx}`);
+
+// --keep spec of the added messages (Gleaning_ChatGPT_selections.js)
+const addedKeepSpec = (diff) => keepSpecFor(diff.added.map((m) => m.globalIdx).filter((g) => g != null));
+
+// One-line totals
+function formatDiffSummary(diff) {
+  const by = { id: 0, turn: 0, hash: 0 };
+  for (const p of diff.pairs) by[p.by]++;
+  return (
+    `new ${diff.added.length} • removed ${diff.removed.length} • changed ${diff.changed.length} • ` +
+    `unchanged ${diff.unchanged} (renumbered ${diff.renumbered}; matched by msgId ${by.id}, ` +
+    `turn ${by.turn}, content ${by.hash})`
+  );
+}
+
+function formatDiffReport(diff, { oldName = "old", newName = "new" } = {}) {
+  const lines = [
+    `Diff: ${oldName} (${diff.old.length} messages) → ${newName} (${diff.new.length} messages)`,
+    `  ${formatDiffSummary(diff)}`,
+  ];
+  const section = (title, items, line) => {
+    if (!items.length) return;
+    lines.push(`${title}:`);
+    for (const it of items) lines.push(line(it));
+  };
+
+  section("New", diff.added, (m) => `  + ${idx(m)}  ${badge(m)}  ${tocSnippet(m.searchText)}`);
+  section("Removed (old indexes)", diff.removed, (m) => `  - ${idx(m)}  ${badge(m)}  ${tocSnippet(m.searchText)}`);
+  section("Changed", diff.changed, (p) => {
+    const was = p.old.globalIdx !== p.new.globalIdx ? ` (was ${idx(p.old)})` : "";
+    return `  ~ ${idx(p.new)}${was}  ${badge(p.new)}  ${tocSnippet(p.new.searchText)}`;
+  });
+
+  if (diff.added.length) lines.push(`New messages as --keep spec: ${addedKeepSpec(diff)}`);
+  return lines.join("\n");
+}
+
+// Word-level diff of two texts as HTML (<del> / <ins>)
+function wordDiffHtml(a, b) {
+  const x = a.split(/(\s+)/);
+  const y = b.split(/(\s+)/);
+
+  // Common prefix / suffix need no table
+  let pre = 0;
+  while (pre < x.length && pre < y.length && x[pre] === y[pre]) pre++;
+  let suf = 0;
+  while (suf < x.length - pre && suf < y.length - pre && x[x.length - 1 - suf] === y[y.length - 1 - suf]) suf++;
+  const xs = x.slice(pre, x.length - suf);
+  const ys = y.slice(pre, y.length - suf);
+
+  const ops = []; // [kind, text]: "=", "-", "+"
+  if ((xs.length + 1) * (ys.length + 1) > WORD_DIFF_MAX_CELLS) {
+    ops.push(["-", xs.join("")], ["+", ys.join("")]);
+  } else {
+    // LCS table from the end, then walk forward
+    const w = ys.length + 1;
+    const lcs = new Uint32Array((xs.length + 1) * w);
+    for (let i = xs.length - 1; i >= 0; i--) {
+      for (let j = ys.length - 1; j >= 0; j--) {
+        lcs[i * w + j] =
+          xs[i] === ys[j] ? lcs[(i + 1) * w + j + 1] + 1 : Math.max(lcs[(i + 1) * w + j], lcs[i * w + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < xs.length || j < ys.length) {
+      if (i < xs.length && j < ys.length && xs[i] === ys[j]) {
+        ops.push(["=", xs[i]]);
+        i++;
+        j++;
+      } else if (i < xs.length && (j === ys.length || lcs[(i + 1) * w + j] >= lcs[i * w + j + 1])) {
+        ops.push(["-", xs[i++]]);
+      } else {
+        ops.push(["+", ys[j++]]);
+      }
+    }
+  }
+
+  const tag = { "=": null, "-": "del", "+": "ins" };
+  const body = ops
+    .reduce((acc, [kind, text]) => {
+      const last = acc[acc.length - 1];
+      if (last && last[0] === kind) last[1] += text;
+      else acc.push([kind, text]);
+      return acc;
+    }, [])
+    .map(([kind, text]) => (tag[kind] ? `<${tag[kind]}>${escapeHtml(text)}</${tag[kind]}>` : escapeHtml(text)))
+    .join("");
+
+  return escapeHtml(x.slice(0, pre).join("")) + body + escapeHtml(x.slice(x.length - suf).join(""));
+}
+
+const DIFF_CSS = `
+  .diffSummary{ margin: 8px 0 0; font-size: 13px; }
+  .diffTag{
+    font-size: 11px;
+    font-weight: 700;
+    padding: 1px 6px;
+    border-radius: 6px;
+    color: #fff;
+  }
+  .diffAdded .diffTag{ background: #2e7d32; }
+  .diffChanged .diffTag{ background: #b26a00; }
+  .diffRemoved .diffTag{ background: #c62828; }
+  .diffUnchanged{ opacity: .55; }
+  .diffAdded > .bubble{ border-left: 4px solid #2e7d32; }
+  .diffChanged > .bubble{ border-left: 4px solid #b26a00; }
+  .diffRemoved > .bubble{ border-left: 4px solid #c62828; }
+  .diffRemoved .content{ text-decoration: line-through; text-decoration-color: rgba(198, 40, 40, .5); }
+  .diffChanges{ margin-top: 10px; font-size: 13px; }
+  .diffChanges summary{ cursor: pointer; }
+  .wordDiff{ white-space: pre-wrap; font-family: var(--mono); margin-top: 6px; }
+  .wordDiff del{ background: rgba(198, 40, 40, .25); }
+  .wordDiff ins{ background: rgba(46, 125, 50, .25); text-decoration: none; }`;
+
+/**
+ * HTML diff view, built from the new transcript: added and changed messages
+ * (with a word diff against the old version), removed ones (from the old
+ * transcript) where they used to be. full: keep the unchanged messages too
+ * (dimmed).
+ */
+function renderDiffHtml(oldHtml, newHtml, diff, { oldName = "old", newName = "new", full = false } = {}) {
+  const $ = cheerio.load(newHtml);
+  const $old = cheerio.load(oldHtml);
+  const newTurns = $(".turn").toArray();
+  const oldTurns = $old(".turn").toArray();
+
+  const status = new Map(); // new pos -> "added" | "changed" | "unchanged"
+  for (const m of diff.added) status.set(m.pos, "added");
+  for (const p of diff.pairs) status.set(p.new.pos, p.changed ? "changed" : "unchanged");
+  const pairOfNew = new Map(diff.pairs.map((p) => [p.new.pos, p]));
+
+  const tag = (t, kind, label) => {
+    $(t).addClass(`diff${kind[0].toUpperCase()}${kind.slice(1)}`);
+    $(t).find(".meta").first().prepend(`<span class="diffTag">${label}</span> `);
+  };
+
+  // Removed messages go after the new message matched to their nearest
+  // matched predecessor (before everything when there is none)
+  const newPosOfOld = new Map(diff.pairs.map((p) => [p.old.pos, p.new.pos]));
+  let anchor = -1;
+  const removedAfter = new Map(); // new pos (-1: start) -> old messages
+  const removed = new Set(diff.removed.map((m) => m.pos));
+  for (const o of diff.old) {
+    if (newPosOfOld.has(o.pos)) anchor = newPosOfOld.get(o.pos);
+    else if (removed.has(o.pos)) {
+      if (!removedAfter.has(anchor)) removedAfter.set(anchor, []);
+      removedAfter.get(anchor).push(o);
+    }
+  }
+
+  const removedTurn = (o) => {
+    const t = $($old.html(oldTurns[o.pos]));
+    t.attr("id", `old-msg-${o.globalIdx}`);
+    t.find(`a[href^="#msg-"]`).removeAttr("href"); // old indexes are not anchors here
+    t.find(".outlineHeading").remove();
+    tag(t, "removed", "REMOVED");
+    return t;
+  };
+
+  for (const [pos, olds] of removedAfter) {
+    const turns = olds.map(removedTurn);
+    if (pos >= 0) $(newTurns[pos]).after(turns);
+    else if (newTurns.length) $(newTurns[0]).before(turns);
+    else $(".wrap").append(turns);
+  }
+
+  newTurns.forEach((t, pos) => {
+    const s = status.get(pos);
+    if (s === "added") tag(t, "added", "NEW");
+    else if (s === "changed") {
+      const p = pairOfNew.get(pos);
+      const was = p.old.globalIdx !== p.new.globalIdx ? ` (was ${idx(p.old)})` : "";
+      tag(t, "changed", `CHANGED${was}`);
+      $(t)
+        .children(".bubble")
+        .append(
+          `<details class="diffChanges" open><summary>Changes since ${escapeHtml(oldName)} (Index ${idx(p.old)})</summary>` +
+            `<div class="wordDiff">${wordDiffHtml(p.old.searchText, p.new.searchText)}</div></details>`
+        );
+    } else if (full) $(t).addClass("diffUnchanged");
+    else $(t).remove();
+  });
+
+  // Stale here: contents, viewer toolbar / index
+  $("nav.toc, script, #viewerBar, #viewerCss").remove();
+  if ($old("#mathCss").length && !$("#mathCss").length) $("head").append($old("#mathCss").clone());
+  $("head").append(`<style id="diffCss">${DIFF_CSS}\n</style>`);
+
+  $("title").text(`Transcript diff: ${oldName} → ${newName}`);
+  $(".header .title").text(`Transcript diff: ${oldName} → ${newName}`);
+  $(".header").append(`<p class="diffSummary">${escapeHtml(formatDiffSummary(diff))}</p>`);
+  return $.html();
+}
+
+/**
+ * Delta transcript: the new transcript cropped to the added messages, with
+ * the original counters and KEEP k/N. Returns cropTranscriptHtml's result
+ * ({ html, kept, ... }), or null when nothing was added.
+ * opts.countBy: "messages" | "exchanges" (what KEEP k/N counts)
+ */
+function renderDeltaHtml(newHtml, diff, { countBy = "messages" } = {}) {
+  if (!diff.added.length) return null;
+  const keepSet = new Set(diff.added.map((m) => m.globalIdx).filter((g) => g != null));
+  return cropTranscriptHtml(newHtml, keepSet, { countBy });
+}
+
+module.exports = {
+  loadTranscriptHtml,
+  diffTranscripts,
+  addedKeepSpec,
+  formatDiffSummary,
+  formatDiffReport,
+  wordDiffHtml,
+  renderDiffHtml,
+  renderDeltaHtml,
+};
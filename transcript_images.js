@@ -0,0 +1,269 @@
+/**
+ * transcript_images.js
+ *
+ * Image policy for the rendered transcript (--images):
+ *   - drop:    images removed, file names not listed
+ *   - list:    images removed, file names listed per message (default)
+ *   - inline:  images embedded as downscaled / recompressed data URIs, within
+ *              a per-transcript byte budget (--image-budget, e.g. "8MB", counted
+ *              in image bytes, not in the ~4/3 larger base64 text); images
+ *              that no longer fit are left out and named instead
+ *   - sidecar: original image files copied to an assets folder next to the
+ *              HTML ("out_assets/") and referenced from there
+ *
+ * Image bytes come from the src the harvester recorded (absolute file://,
+ * http(s) or data: URLs). Downscaling runs in the Puppeteer page (canvas),
+ * so no image library is needed. The archive always keeps the original html;
+ * only the rendered transcript is rewritten.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { fileURLToPath } = require("url");
+const cheerio = require("cheerio");
+const { parseByteSize } = require("./chat_cli_options");
+
+// Render switches per policy (merged into the renderer opts)
+const IMAGE_POLICIES = {
+  drop: { stripImages: true, listFiles: false, showImages: false },
+  list: { stripImages: true, listFiles: true, showImages: false },
+  inline: { stripImages: false, listFiles: true, showImages: true },
+  sidecar: { stripImages: false, listFiles: true, showImages: true },
+};
+
+const IMAGE_POLICY_NAMES = Object.keys(IMAGE_POLICIES);
+
+// --image-budget default (the CLI option and preserveImages both use it)
+const DEFAULT_IMAGE_BUDGET = "8MB";
+
+// Downscale attempts for inline images, largest first
+const INLINE_STEPS = [
+  { maxDim: 1280, quality: 0.8 },
+  { maxDim: 800, quality: 0.65 },
+  { maxDim: 480, quality: 0.5 },
+];
+
+const FETCH_TIMEOUT_MS = 15000;
+
+const MIME_BY_EXT = {
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".svg": "image/svg+xml",
+  ".avif": "image/avif",
+};
+
+const EXT_BY_MIME = {
+  "image/png": ".png",
+  "image/jpeg": ".jpg",
+  "image/gif": ".gif",
+  "image/webp": ".webp",
+  "image/svg+xml": ".svg",
+  "image/avif": ".avif",
+};
+
+// "out.pdf" -> "out_assets"
+function assetsDirFor(out) {
+  return out.replace(/\.(pdf|html)$/i, "") + "_assets";
+}
+
+/**
+ * Bytes + mime type of an image src, or null when it cannot be read.
+ */
+async function loadImageBytes(src) {
+  try {
+    if (src.startsWith("data:")) {
+      const m = src.match(/^data:([^;,]*)(;base64)?,(.*)$/s);
+      if (!m) return null;
+      const bytes = m[2]
+        ? Buffer.from(m[3], "base64")
+        : Buffer.from(decodeURIComponent(m[3]), "utf8");
+      return { bytes, mime: m[1] || "application/octet-stream" };
+    }
+
+    if (src.startsWith("file:")) {
+      const file = fileURLToPath(src);
+      return {
+        bytes: fs.readFileSync(file),
+        mime: MIME_BY_EXT[path.extname(file).toLowerCase()] || "application/octet-stream",
+      };
+    }
+
+    if (/^https?:/i.test(src)) {
+      const res = await fetch(src, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+      if (!res.ok) return null;
+      return {
+        bytes: Buffer.from(await res.arrayBuffer()),
+        mime: (res.headers.get("content-type") || "").split(";")[0] || "application/octet-stream",
+      };
+    }
+  } catch {
+    return null;
+  }
+  return null; // relative src without a base: nothing to resolve against
+}
+
+const toDataUrl = ({ bytes, mime }) => `data:${mime};base64,${bytes.toString("base64")}`;
+
+// Image bytes of a base64 data URL (without decoding it)
+function dataUrlBytes(url) {
+  const b64 = url.slice(url.indexOf(",") + 1);
+  const pad = b64.endsWith("==") ? 2 : b64.endsWith("=") ? 1 : 0;
+  return Math.floor((b64.length * 3) / 4) - pad;
+}
+
+// Re-encode as JPEG no larger than maxDim (white background for transparency)
+async function downscale(page, dataUrl, { maxDim, quality }) {
+  return page.evaluate(
+    async (src, maxDim, quality) => {
+      try {
+        const img = new Image();
+        img.src = src;
+        await img.decode();
+        const scale = Math.min(1, maxDim / Math.max(img.naturalWidth, img.naturalHeight));
+        const canvas = document.createElement("canvas");
+        canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+        canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+        const ctx = canvas.getContext("2d");
+        ctx.fillStyle = "#fff";
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+        return canvas.toDataURL("image/jpeg", quality);
+      } catch {
+        return null; // undecodable (e.g. unsupported format)
+      }
+    },
+    dataUrl,
+    maxDim,
+    quality
+  );
+}
+
+/**
+ * Rewrite the <img> tags of messages (and their alternates) per policy
+ * "inline" or "sidecar". Returns { messages, stats } with new message objects;
+ * the input messages are left untouched.
+ *
+ *   page:        Puppeteer page used for downscaling (inline)
+ *   budgetBytes: inline only; total bytes of all embedded images
+ *   assetsDir:   sidecar only; folder to copy images into
+ *   htmlDir:     sidecar only; folder of the HTML that references them
+ */
+async function preserveImages(
+  page,
+  messages,
+  { policy, budgetBytes = parseByteSize(DEFAULT_IMAGE_BUDGET), assetsDir, htmlDir }
+) {
+  const stats = { embedded: 0, copied: 0, overBudget: 0, unreadable: 0, bytes: 0 };
+  const resolved = new Map(); // src -> new src | null
+
+  async function inlineSrc(loaded) {
+    const original = toDataUrl(loaded);
+    const left = budgetBytes - stats.bytes;
+
+    // Largest step that fits what is left of the budget; never larger than the original
+    let fit = null;
+    for (const step of INLINE_STEPS) {
+      const small = await downscale(page, original, step);
+      const candidate = small && dataUrlBytes(small) < loaded.bytes.length ? small : original;
+      if (dataUrlBytes(candidate) <= left) {
+        fit = candidate;
+        break;
+      }
+      if (!small) break; // cannot re-encode, and the original does not fit
+    }
+    if (!fit) {
+      stats.overBudget++;
+      return null;
+    }
+    stats.bytes += dataUrlBytes(fit);
+    stats.embedded++;
+    return fit;
+  }
+
+  function sidecarSrc(loaded, src) {
+    fs.mkdirSync(assetsDir, { recursive: true });
+    const ext =
+      EXT_BY_MIME[loaded.mime] ||
+      path.extname(src.split(/[?#]/)[0]).toLowerCase() ||
+      ".bin";
+    const name = `img-${String(stats.copied + 1).padStart(3, "0")}${ext}`;
+    fs.writeFileSync(path.join(assetsDir, name), loaded.bytes);
+    stats.bytes += loaded.bytes.length;
+    stats.copied++;
+    return path.relative(htmlDir, path.join(assetsDir, name)).split(path.sep).join("/");
+  }
+
+  async function resolve(src) {
+    if (resolved.has(src)) return resolved.get(src);
+    const loaded = await loadImageBytes(src);
+    let out = null;
+    if (!loaded) stats.unreadable++;
+    else out = policy === "inline" ? await inlineSrc(loaded) : sidecarSrc(loaded, src);
+    resolved.set(src, out);
+    return out;
+  }
+
+  async function rewrite(html) {
+    if (!html || !/<img\b/i.test(html)) return html;
+    const $ = cheerio.load(html, null, false);
+
+    $("picture source").remove();
+    for (const el of $("img").toArray()) {
+      const img = $(el);
+      const src = img.attr("src") || "";
+      const next = src ? await resolve(src) : null;
+      if (next) {
+        img.attr("src", next).removeAttr("srcset").removeAttr("sizes").removeAttr("loading");
+      } else {
+        const name = img.attr("alt") || path.basename(src.split(/[?#]/)[0]) || "image";
+        img.replaceWith($(`<span class="imgOmitted"></span>`).text(`[image: ${name}]`));
+      }
+    }
+    return $.html();
+  }
+
+  const out = [];
+  for (const m of messages) {
+    const alternates = [];
+    for (const a of m.alternates || []) {
+      const altMsgs = [];
+      for (const x of a.messages) altMsgs.push({ ...x, html: await rewrite(x.html) });
+      alternates.push({ ...a, messages: altMsgs });
+    }
+    out.push({
+      ...m,
+      html: await rewrite(m.html),
+      ...(m.alternates ? { alternates } : {}),
+    });
+  }
+
+  return { messages: out, stats };
+}
+
+function formatImageStats(policy, stats) {
+  const kb = (n) => `${Math.round(n / 1024)} KB`;
+  if (policy === "inline") {
+    return (
+      `Images: ${stats.embedded} embedded (${kb(stats.bytes)})` +
+      (stats.overBudget ? `, ${stats.overBudget} over budget (listed only)` : "") +
+      (stats.unreadable ? `, ${stats.unreadable} unreadable` : "")
+    );
+  }
+  return (
+    `Images: ${stats.copied} copied (${kb(stats.bytes)})` +
+    (stats.unreadable ? `, ${stats.unreadable} unreadable` : "")
+  );
+}
+
+module.exports = {
+  IMAGE_POLICIES,
+  IMAGE_POLICY_NAMES,
+  DEFAULT_IMAGE_BUDGET,
+  assetsDirFor,
+  loadImageBytes,
+  preserveImages,
+  formatImageStats,
+};
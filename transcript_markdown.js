@@ -0,0 +1,317 @@
+/**
+ * transcript_markdown.js
+ *
+ * Markdown output for harvested transcripts (for pasting into wikis / PRs).
+ *
+ * Converts each message's harvested ".markdown" innerHTML back into real
+ * Markdown: headings, nested lists, fenced code blocks (with language),
+ * blockquotes, GFM tables, links, emphasis, inline code and math ($TeX$).
+ *
+ * Each message starts with a header line keeping the three counters:
+ *   **User 12** · **Index #34** = U:12 + A:11
+ * followed by the detected file list (same data as renderFilesList).
+ */
+
+const cheerio = require("cheerio");
+const { codeLanguage } = require("./transcript_code");
+const { MATH_SELECTOR, mathSource } = require("./transcript_math");
+const {
+  RENDER_DEFAULTS,
+  stripImagesFromHtml,
+  roleBadgeOf,
+  alternateMessages,
+} = require("./transcript_render");
+
+const BLOCK_TAGS = new Set([
+  "address", "article", "aside", "blockquote", "details", "div", "dl", "fieldset",
+  "figcaption", "figure", "footer", "form", "h1", "h2", "h3", "h4", "h5", "h6",
+  "header", "hr", "li", "main", "nav", "ol", "p", "pre", "section", "table",
+  "tbody", "td", "tfoot", "th", "thead", "tr", "ul",
+]);
+
+// UI chrome that never belongs in the Markdown
+const SKIP_TAGS = new Set(["button", "script", "style", "svg", "noscript", "template"]);
+
+// Code fences are kept out of the blank-line cleanup and re-inserted at the end
+const FENCE_TOKEN = (i) => `\u0000${i}\u0000`;
+
+const escapeMd = (s) => String(s).replace(/([\\`*_[\]<])/g, "\\$1");
+
+// Keep paragraph text from turning into headings / quotes / list items
+const escapeLineStarts = (s) =>
+  s.replace(/^(\s*)([#>+-]|\d+\.)(?=\s|$)/gm, (m, ws, mark) =>
+    /^\d/.test(mark) ? `${ws}${mark.slice(0, -1)}\\.` : `${ws}\\${mark}`
+  );
+
+const isBlock = (node) => node && node.type === "tag" && BLOCK_TAGS.has(node.name);
+
+function fence(code, lang) {
+  const runs = code.match(/`{3,}/g) || [];
+  const len = Math.max(3, ...runs.map((r) => r.length + 1));
+  const ticks = "`".repeat(len);
+  return `${ticks}${lang}\n${code.replace(/\n$/, "")}\n${ticks}`;
+}
+
+function inlineCode(text) {
+  const runs = text.match(/`+/g) || [];
+  const ticks = "`".repeat(Math.max(0, ...runs.map((r) => r.length)) + 1);
+  const pad = text.startsWith("`") || text.endsWith("`") ? " " : "";
+  return `${ticks}${pad}${text}${pad}${ticks}`;
+}
+
+// Re-indent every line after the first (list item continuation)
+const indentRest = (s, n) => s.replace(/\n(?=.)/g, "\n" + " ".repeat(n));
+
+function createConverter($) {
+  const fences = [];
+
+  function children(el) {
+    const kids = el.children || [];
+    return kids
+      .map((c, i) => {
+        // Whitespace between blocks is layout, not content
+        if (c.type === "text" && !c.data.trim() && (isBlock(kids[i - 1]) || isBlock(kids[i + 1]))) {
+          return "";
+        }
+        return convert(c);
+      })
+      .join("");
+  }
+
+  function list(el) {
+    const ordered = el.name === "ol";
+    let n = Number($(el).attr("start")) || 1;
+    const items = $(el)
+      .children("li")
+      .toArray()
+      .map((li) => {
+        const marker = ordered ? `${n++}. ` : "- ";
+        let body = children(li).replace(/\n{3,}/g, "\n\n").trim();
+        // Tight list unless the item really holds paragraphs
+        if (!$(li).children("p").length) body = body.replace(/\n{2,}/g, "\n");
+        return marker + indentRest(body, marker.length);
+      });
+    return `\n\n${items.join("\n")}\n\n`;
+  }
+
+  function table(el) {
+    const rows = $(el)
+      .find("tr")
+      .toArray()
+      .map((tr) =>
+        $(tr)
+          .children("th,td")
+          .toArray()
+          .map((cell) =>
+            children(cell).trim().replace(/\\\n|\n+/g, "<br>").replace(/\|/g, "\\|")
+          )
+      )
+      .filter((r) => r.length);
+    if (!rows.length) return "";
+
+    const cols = Math.max(...rows.map((r) => r.length));
+    const line = (r) =>
+      `| ${Array.from({ length: cols }, (_, i) => r[i] || "").join(" | ")} |`;
+    const sep = `| ${Array.from({ length: cols }, () => "---").join(" | ")} |`;
+
+    return `\n\n${[line(rows[0]), sep, ...rows.slice(1).map(line)].join("\n")}\n\n`;
+  }
+
+  function convert(node) {
+    if (node.type === "text") return escapeMd(node.data.replace(/\s+/g, " "));
+    if (node.type !== "tag") return "";
+
+    const tag = node.name;
+    if (SKIP_TAGS.has(tag) && !$(node).is(MATH_SELECTOR)) return "";
+
+    // Formulas as TeX: $...$ inline, $$...$$ blocks (kept out of cleanup like fences)
+    if ($(node).is(MATH_SELECTOR)) {
+      const src = mathSource($, node);
+      if (!src) return escapeMd($(node).find("math").first().text().trim());
+      if (!src.display) return `$${src.tex}$`;
+      fences.push(`$$\n${src.tex}\n$$`);
+      return `\n\n${FENCE_TOKEN(fences.length - 1)}\n\n`;
+    }
+
+    switch (tag) {
+      case "h1":
+      case "h2":
+      case "h3":
+      case "h4":
+      case "h5":
+      case "h6": {
+        const text = children(node).replace(/\s+/g, " ").trim();
+        return text ? `\n\n${"#".repeat(Number(tag[1]))} ${text}\n\n` : "";
+      }
+      case "p":
+        return `\n\n${escapeLineStarts(children(node).trim())}\n\n`;
+      case "br":
+        return "\\\n";
+      case "hr":
+        return "\n\n---\n\n";
+      case "strong":
+      case "b": {
+        const t = children(node).trim();
+        return t ? `**${t}**` : "";
+      }
+      case "em":
+      case "i": {
+        const t = children(node).trim();
+        return t ? `_${t}_` : "";
+      }
+      case "del":
+      case "s": {
+        const t = children(node).trim();
+        return t ? `~~${t}~~` : "";
+      }
+      case "code":
+        return inlineCode($(node).text());
+      case "a": {
+        const href = $(node).attr("href") || "";
+        const text = children(node).trim();
+        if (!href || href.startsWith("javascript:")) return text;
+        if (!text || text === escapeMd(href)) return `<${href}>`;
+        return `[${text}](${href.replace(/\)/g, "%29").replace(/ /g, "%20")})`;
+      }
+      case "img": {
+        const src = $(node).attr("src") || "";
+        if (!src) return "";
+        return `![${escapeMd($(node).attr("alt") || "")}](${src.replace(/ /g, "%20")})`;
+      }
+      case "pre": {
+        const code = $(node).find("code").first();
+        const text = code.length ? code.text() : $(node).text();
+        fences.push(fence(text, codeLanguage($, node)));
+        return `\n\n${FENCE_TOKEN(fences.length - 1)}\n\n`;
+      }
+      case "blockquote": {
+        const inner = children(node).replace(/\n{3,}/g, "\n\n").trim();
+        return `\n\n${inner.replace(/^/gm, "> ").replace(/^> $/gm, ">")}\n\n`;
+      }
+      case "ul":
+      case "ol":
+        return list(node);
+      case "table":
+        return table(node);
+      default:
+        return isBlock(node) ? `\n\n${children(node)}\n\n` : children(node);
+    }
+  }
+
+  // Put code fences back, carrying the quote/list prefix of the line they sat on
+  function restoreFences(md) {
+    return md.replace(/^(.*?)\u0000(\d+)\u0000[ \t]*$/gm, (_, prefix, i) => {
+      const rest = prefix.replace(/[-*+] |\d+\. /g, (m) => " ".repeat(m.length));
+      return fences[Number(i)]
+        .split("\n")
+        .map((l, k) => (k === 0 ? prefix : rest) + l)
+        .join("\n");
+    });
+  }
+
+  return { children, restoreFences };
+}
+
+function htmlToMarkdown(html) {
+  const $ = cheerio.load(`<div id="md-root">${html || ""}</div>`, null, false);
+  const root = $("#md-root").get(0);
+  const conv = createConverter($);
+
+  const md = conv
+    .children(root)
+    .replace(/[ \t]+$/gm, "")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+  return conv.restoreFences(md);
+}
+
+// Plain-text messages (no harvested markdown): keep paragraphs and line breaks
+function textToMarkdown(text) {
+  return String(text || "")
+    .trim()
+    .split(/\n{2,}/)
+    .map((para) => escapeLineStarts(escapeMd(para)).replace(/\n/g, "\\\n"))
+    .join("\n\n");
+}
+
+function renderFilesListMarkdown(files, opts = RENDER_DEFAULTS) {
+  if (!opts.listFiles) return "";
+  const list = (files || []).filter(Boolean);
+  if (!list.length) return "";
+  return `**Files**\n\n${list.map((f) => `- ${inlineCode(f)}`).join("\n")}`;
+}
+
+function contentMarkdown(m, opts) {
+  const html = m.html ? stripImagesFromHtml(m.html, opts) : "";
+  const fromHtml = html.trim() ? htmlToMarkdown(html) : "";
+  return fromHtml || textToMarkdown(m.text);
+}
+
+function renderAlternateMarkdown(alt, m, opts) {
+  const count = m.version ? m.version.count : "?";
+  const header = `**Alt ${alt.altIdx}** · version ${alt.version}/${count} of ${roleBadgeOf(m)} · Index #${m.globalIdx}`;
+  return [header, renderFilesListMarkdown(alt.files, opts), contentMarkdown(alt, opts)]
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+function renderMessageMarkdown(m, opts = RENDER_DEFAULTS) {
+  const mode = opts.alternates || RENDER_DEFAULTS.alternates;
+  const alts = mode === "none" ? [] : alternateMessages(m);
+
+  const version = m.version ? ` · version ${m.version.index}/${m.version.count}` : "";
+  const altRefs =
+    mode === "appendix" && alts.length ? ` · ${alts.map((a) => `Alt ${a.altIdx}`).join(", ")}` : "";
+  const header = `**${roleBadgeOf(m)}** · **Index #${m.globalIdx}** = U:${m.userCountSoFar} + A:${m.assistantCountSoFar}${version}${altRefs}`;
+
+  // GitHub / most wikis render <details> with Markdown inside
+  const altBlock =
+    mode === "collapsible" && alts.length
+      ? [
+          "<details>",
+          `<summary>${alts.length} other version${alts.length === 1 ? "" : "s"} of ${roleBadgeOf(m)}</summary>`,
+          alts.map((a) => renderAlternateMarkdown(a, m, opts)).join("\n\n"),
+          "</details>",
+        ].join("\n\n")
+      : "";
+
+  return [header, renderFilesListMarkdown(m.files, opts), contentMarkdown(m, opts), altBlock]
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+/**
+ * Full Markdown transcript; same inputs as renderTranscriptHtml.
+ */
+function renderTranscriptMarkdown({ title, messages, totals, opts = RENDER_DEFAULTS }) {
+  const head = [
+    `# Chat Transcript: ${title}`,
+    `Turns: **${totals.turns}** • Messages: **${totals.messages}** • ` +
+      `User msgs: **${totals.user}** • Assistant msgs: **${totals.assistant}**`,
+  ].join("\n\n");
+
+  const body = messages.map((m) => renderMessageMarkdown(m, opts)).join("\n\n---\n\n");
+
+  const appendix =
+    (opts.alternates || RENDER_DEFAULTS.alternates) === "appendix"
+      ? messages.flatMap((m) => alternateMessages(m).map((a) => renderAlternateMarkdown(a, m, opts)))
+      : [];
+  const tail = appendix.length
+    ? `\n\n---\n\n## Alternate versions\n\n${appendix.join("\n\n---\n\n")}`
+    : "";
+
+  return `${head}\n\n---\n\n${body}${tail}\n`;
+}
+
+// "out.pdf" / "out.html" -> "out.md"
+function markdownPathFor(out) {
+  return out.replace(/\.(pdf|html)$/i, "") + ".md";
+}
+
+module.exports = {
+  htmlToMarkdown,
+  renderMessageMarkdown,
+  renderTranscriptMarkdown,
+  markdownPathFor,
+};
@@ -0,0 +1,175 @@
+/**
+ * transcript_math.js
+ *
+ * Math in harvested messages. ChatGPT typesets LaTeX with KaTeX, which puts
+ * every formula in the page twice (MathML for screen readers + visual spans
+ * that only look right with KaTeX's CSS and fonts). The harvester keeps just
+ * the TeX source (chat_harvest.js):
+ *
+ *   <span class="math-tex" data-display="false">e^{i\pi} + 1 = 0</span>
+ *
+ * and the renderer typesets it again with KaTeX. KaTeX's CSS and fonts are
+ * embedded in the transcript (only when it has math), so neither the HTML
+ * nor the PDF needs anything online.
+ *
+ * Older archives that still hold raw KaTeX / MathJax markup are reduced to
+ * their TeX source the same way at render time. A formula KaTeX cannot
+ * typeset, or any formula when the katex package is missing, is shown as
+ * its raw TeX ($...$ / $$...$$) instead.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const cheerio = require("cheerio");
+const { escapeHtml } = require("./html_escape");
+
+// Everything that can hold one formula (outermost wins)
+const MATH_SELECTOR = ".math-tex, .katex-display, .katex, mjx-container, script[type^='math/tex']";
+
+const TEX_ANNOTATION = "annotation[encoding='application/x-tex']";
+
+let katexLib; // undefined: not loaded yet, null: not installed
+
+function loadKatex() {
+  if (katexLib === undefined) {
+    try {
+      katexLib = require("katex");
+    } catch {
+      katexLib = null;
+    }
+  }
+  return katexLib;
+}
+
+/**
+ * { tex, display } of a math element (see MATH_SELECTOR), or null when the
+ * markup carries no TeX source (e.g. MathJax without annotations).
+ */
+function mathSource($, el) {
+  const node = $(el);
+
+  if (node.hasClass("math-tex")) {
+    return { tex: node.text(), display: node.attr("data-display") === "true" };
+  }
+  if (el.name === "script") {
+    return { tex: node.text(), display: /mode\s*=\s*display/.test(node.attr("type") || "") };
+  }
+
+  const annotation = node.find(TEX_ANNOTATION).first();
+  if (!annotation.length) return null;
+  return {
+    tex: annotation.text().trim(),
+    display:
+      node.hasClass("katex-display") ||
+      node.attr("display") === "true" ||
+      node.find("math[display='block']").length > 0,
+  };
+}
+
+// TeX source span of one formula (the harvest shape, see the top of this file)
+const texSourceSpan = ({ tex, display }) =>
+  `<span class="math-tex" data-display="${display}">${escapeHtml(tex)}</span>`;
+
+// Raw TeX, for formulas that cannot be typeset
+function rawTex({ tex, display }) {
+  return display
+    ? `<div class="mathRaw display">$$${escapeHtml(tex)}$$</div>`
+    : `<code class="mathRaw">$${escapeHtml(tex)}$</code>`;
+}
+
+function renderFormula(src) {
+  const katex = loadKatex();
+  if (!katex) return rawTex(src);
+  try {
+    return katex.renderToString(src.tex, {
+      displayMode: src.display,
+      throwOnError: true,
+      output: "htmlAndMathml",
+      strict: "ignore",
+    });
+  } catch {
+    return rawTex(src);
+  }
+}
+
+const mightHaveMath = (html) => /math-tex|katex|mjx-container|math\/tex/i.test(html || "");
+
+/**
+ * Reduce every formula in html to its TeX source span (harvest shape).
+ * Formulas without a TeX source keep their MathML, if any.
+ */
+function mathToTexSource(html) {
+  if (!mightHaveMath(html)) return html;
+  const $ = cheerio.load(html, null, false);
+
+  for (const el of $(MATH_SELECTOR).toArray()) {
+    if ($(el).parents(MATH_SELECTOR).length) continue; // handled with its outer element
+    const src = mathSource($, el);
+    if (src) {
+      $(el).replaceWith(texSourceSpan(src));
+    } else {
+      const mathml = $(el).find("math").first();
+      if (mathml.length) $(el).replaceWith(mathml);
+    }
+  }
+  return $.html();
+}
+
+/**
+ * Typeset every formula in a message's html with KaTeX (raw TeX on failure).
+ */
+function renderMath(html) {
+  if (!mightHaveMath(html)) return html;
+  const $ = cheerio.load(mathToTexSource(html), null, false);
+  for (const el of $(".math-tex").toArray()) {
+    $(el).replaceWith(renderFormula(mathSource($, el)));
+  }
+  return $.html();
+}
+
+// Does rendered html contain typeset math (needs the KaTeX stylesheet)?
+const hasRenderedMath = (html) => /class="(katex|mathRaw)\b/.test(html || "");
+
+let mathCssCache = null;
+
+/**
+ * KaTeX's stylesheet with its fonts embedded as data URIs (woff2 only,
+ * ~300 KB), plus the raw-TeX fallback style.
+ */
+function mathCss() {
+  if (mathCssCache != null) return mathCssCache;
+
+  const fallback = `
+  .mathRaw{ font-family: var(--mono); }
+  .mathRaw.display{ display: block; margin: 12px 0; text-align: center; white-space: pre-wrap; }
+  .katex-display{ overflow-x: auto; overflow-y: hidden; }`;
+
+  let katexCss = "";
+  if (loadKatex()) {
+    try {
+      const cssFile = require.resolve("katex/dist/katex.min.css");
+      const fontsDir = path.join(path.dirname(cssFile), "fonts");
+      katexCss = fs
+        .readFileSync(cssFile, "utf8")
+        .replace(/src:url\(fonts\/([^)]+?\.woff2)\) format\("woff2"\)[^;}]*/g, (_, font) => {
+          const data = fs.readFileSync(path.join(fontsDir, font)).toString("base64");
+          return `src:url(data:font/woff2;base64,${data}) format("woff2")`;
+        });
+    } catch {
+      katexCss = ""; // stylesheet not found: formulas still render, unstyled
+    }
+  }
+
+  mathCssCache = `${katexCss}\n${fallback}\n`;
+  return mathCssCache;
+}
+
+module.exports = {
+  MATH_SELECTOR,
+  mathSource,
+  texSourceSpan,
+  mathToTexSource,
+  renderMath,
+  hasRenderedMath,
+  mathCss,
+};
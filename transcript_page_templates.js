@@ -0,0 +1,128 @@
+/**
+ * transcript_page_templates.js
+ *
+ * Running header / footer of transcript PDFs, shared by the exporter, the
+ * rehydrator, the importer and the cropper, so a page that got separated
+ * from the rest still says which chat and which messages it belongs to.
+ *
+ * A template is a line of text with placeholders; "|" splits it into parts
+ * laid out left / (center) / right:
+ *
+ *   {title}          chat title
+ *   {source}         source file (saved page, archive or data export)
+ *   {date}           export date (YYYY-MM-DD)
+ *   {range}          first–last global index in the PDF ("Index #12–#240")
+ *   {keep}           cropped output: KEEP range ("KEEP 1–18"), else empty
+ *   {page} {pages}   page number / page count
+ *
+ * "none" (or "") leaves the header / footer blank.
+ *
+ * The values are read back from the transcript HTML (meta tags written by
+ * renderTranscriptHtml, the turns' data-* attributes, KEEP counters), so a
+ * cropped transcript reports its own range. Chromium fills the templates
+ * once per document (only the page numbers change from page to page), so
+ * {range} covers the whole PDF, not the single page.
+ */
+
+const cheerio = require("cheerio");
+const { escapeHtml } = require("./html_escape");
+
+const DEFAULT_HEADER = "{title}|{range} {keep}";
+const DEFAULT_FOOTER = "{source} · {date}|Page {page} / {pages}";
+
+// Meta tags in the transcript <head> carrying the fields
+const META_NAMES = {
+  title: "transcript-title",
+  source: "transcript-source",
+  exportedAt: "transcript-exported",
+};
+
+// "12" or "12–240" (sorted numbers)
+const numberRange = (nums) =>
+  nums.length ? (nums[0] === nums[nums.length - 1] ? `${nums[0]}` : `${nums[0]}–${nums[nums.length - 1]}`) : "";
+
+/**
+ * Template values of a transcript: { title, source, date, range, keep }.
+ */
+function pageFields(html) {
+  const $ = cheerio.load(html);
+  const meta = (name) => ($(`meta[name="${name}"]`).attr("content") || "").trim();
+
+  const title =
+    meta(META_NAMES.title) || $("title").first().text().replace(/^Chat Transcript:\s*/, "").trim();
+  const exportedAt = meta(META_NAMES.exportedAt);
+
+  const indexes = $(".turn")
+    .toArray()
+    .map((t) => {
+      const attr = $(t).attr("data-global-idx");
+      if (attr && /^\d+$/.test(attr)) return Number(attr);
+      const m = ($(t).find(".global").first().text() || "").match(/#\s*(\d+)/);
+      return m ? Number(m[1]) : null;
+    })
+    .filter((n) => n != null)
+    .sort((a, b) => a - b);
+
+  const keeps = $(".keepCounter")
+    .toArray()
+    .map((k) => Number(($(k).text().match(/KEEP\s+(\d+)/) || [])[1]))
+    .filter((n) => !Number.isNaN(n))
+    .sort((a, b) => a - b);
+
+  const range = numberRange(indexes);
+  return {
+    title,
+    source: meta(META_NAMES.source),
+    date: (exportedAt || new Date().toISOString()).slice(0, 10),
+    range: range ? `Index #${range.replace("–", "–#")}` : "",
+    keep: keeps.length ? `KEEP ${numberRange(keeps)}` : "",
+  };
+}
+
+// One template part: placeholders filled, separators of empty fields dropped
+function fillPart(part, fields) {
+  const text = part
+    .replace(/\{(title|source|date|range|keep)\}/g, (_, k) => fields[k] || "")
+    .replace(/(\s*·\s*){2,}/g, " · ")
+    .replace(/^\s*·\s*|\s*·\s*$/g, "")
+    .replace(/\s{2,}/g, " ")
+    .trim();
+  return escapeHtml(text)
+    .replace(/\{page\}/g, `<span class="pageNumber"></span>`)
+    .replace(/\{pages\}/g, `<span class="totalPages"></span>`);
+}
+
+function renderTemplate(template, fields) {
+  if (!template.trim() || template.trim().toLowerCase() === "none") return `<div></div>`;
+
+  const cells = template
+    .split("|")
+    .map((p) => `<div style="white-space:nowrap; overflow:hidden; text-overflow:ellipsis;">${fillPart(p, fields)}</div>`)
+    .join("");
+  return `
+    <div style="width:100%; font-size:9px; padding:0 12mm; color:#666; display:flex; justify-content:space-between; gap:8mm;">
+      ${cells}
+    </div>
+  `;
+}
+
+/**
+ * { headerTemplate, footerTemplate } for page.pdf(); header / footer are
+ * templates (null: the defaults above).
+ */
+function pageTemplates(html, { header = null, footer = null } = {}) {
+  const fields = pageFields(html);
+  return {
+    headerTemplate: renderTemplate(header ?? DEFAULT_HEADER, fields),
+    footerTemplate: renderTemplate(footer ?? DEFAULT_FOOTER, fields),
+  };
+}
+
+module.exports = {
+  DEFAULT_HEADER,
+  DEFAULT_FOOTER,
+  META_NAMES,
+  pageFields,
+  renderTemplate,
+  pageTemplates,
+};
@@ -0,0 +1,348 @@
+/**
+ * transcript_redact.js
+ *
+ * Redaction pass for transcripts that leave the team: masks secrets and PII
+ * in the harvested messages before they are rendered (exporter), or in a
+ * rendered transcript (cropper).
+ *
+ * Built-in detectors (--redact all, or a list such as "keys,emails"):
+ *   keys    API keys and tokens (OpenAI, AWS, GitHub, Slack, Google, JWT,
+ *           private key blocks, "password = ..." style assignments)
+ *   emails  e-mail addresses
+ *   phones  phone numbers ("+1 415 555 0100", "(030) 1234-5678")
+ *   ips     IPv4 addresses
+ * plus user lists:
+ *   --redact-terms file     one literal term per line (customer names,
+ *                           internal hostnames), case-insensitive
+ *   --redact-patterns file  one regular expression per line (bare, or
+ *                           /regex/flags for e.g. case-insensitive "i")
+ * ("#" starts a comment line in both files.)
+ *
+ * Masking styles (--redact-style):
+ *   label    [REDACTED:email]                      (default)
+ *   block    ████████ (about as long as the value)
+ *   hash     [email:3f9a1c2e] (same value, same tag: still cross-referenceable)
+ *            The tag is an HMAC-SHA256 under a random key per run, not a plain
+ *            hash: short values (phone numbers, IPs, customer names) could
+ *            otherwise be recovered by hashing candidates. Tags match within
+ *            one export; --redact-key (e.g. from the config file) keeps them
+ *            stable across exports, and must then stay secret.
+ *   partial  sk…9f (first and last two characters)
+ *
+ * The redaction log counts matches per message (global index, Alt n for
+ * alternates) and detector; it never contains the values themselves.
+ *
+ * Text is matched per HTML text node, so a value split across elements (e.g.
+ * highlighted code) can be missed; the JSON archive keeps the unredacted
+ * harvest.
+ */
+
+const fs = require("fs");
+const crypto = require("crypto");
+const cheerio = require("cheerio");
+
+const KEY_PATTERNS = [
+  /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g,
+  /\bsk-(?:proj-|ant-)?[A-Za-z0-9_-]{20,}/g,
+  /\bAKIA[0-9A-Z]{16}\b/g,
+  /\bgh[pousr]_[A-Za-z0-9]{36,}\b/g,
+  /\bgithub_pat_[A-Za-z0-9_]{40,}\b/g,
+  /\bxox[abprs]-[A-Za-z0-9-]{10,}/g,
+  /\bAIza[0-9A-Za-z_-]{35}\b/g,
+  /\beyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g,
+  // password = "...", api_key: ..., token=... (only the value is masked)
+  /\b(?:api[_-]?key|secret|token|password|passwd|pwd)\b["']?\s*[:=]\s*["']?(?<secret>[^\s"'<>,;]{8,})/gi,
+];
+
+const DETECTORS = {
+  keys: KEY_PATTERNS,
+  emails: [/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g],
+  phones: [
+    /(?<![\w.+-])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)|\d{2,4})[\s.-]\d{3,4}[\s.-]\d{3,4}(?![\w.-])/g,
+  ],
+  ips: [/\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b/g],
+};
+
+const DETECTOR_NAMES = Object.keys(DETECTORS);
+
+const REDACT_STYLES = ["label", "block", "hash", "partial"];
+
+// Singular tag per detector for the masks ("[REDACTED:email]")
+const MASK_TAGS = { keys: "key", emails: "email", phones: "phone", ips: "ip", patterns: "pattern", terms: "term" };
+
+// Elements whose text is not content
+const SKIP_TAGS = new Set(["script", "style"]);
+
+// Attributes that can carry the same values as the text
+const TEXT_ATTRS = ["href", "title", "alt", "aria-label", "content"];
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// "keys,emails" / "all" -> ["keys", "emails"]
+function parseDetectorList(s) {
+  const names = String(s || "")
+    .split(/[\s,]+/)
+    .map((n) => n.trim().toLowerCase())
+    .filter(Boolean);
+  if (names.includes("all")) return DETECTOR_NAMES.slice();
+  for (const n of names) {
+    if (!DETECTORS[n]) {
+      throw new Error(`Unknown redaction detector "${n}" (expected all or ${DETECTOR_NAMES.join(", ")})`);
+    }
+  }
+  return names;
+}
+
+// Non-empty, non-comment lines of a list file
+function readListFile(file) {
+  if (!fs.existsSync(file)) throw new Error(`Redaction list not found: ${file}`);
+  return fs
+    .readFileSync(file, "utf8")
+    .split(/\r?\n/)
+    .map((l, i) => ({ line: i + 1, text: l.trim() }))
+    .filter((l) => l.text && !l.text.startsWith("#"));
+}
+
+function mask(value, tag, style, hashKey) {
+  switch (style) {
+    case "block":
+      return "█".repeat(Math.min(Math.max(value.length, 4), 24));
+    case "hash":
+      return `[${tag}:${crypto.createHmac("sha256", hashKey).update(value).digest("hex").slice(0, 8)}]`;
+    case "partial":
+      return value.length > 8 ? `${value.slice(0, 2)}…${value.slice(-2)}` : "█".repeat(value.length);
+    default:
+      return `[REDACTED:${tag}]`;
+  }
+}
+
+/**
+ * Redactor for detector names, literal terms and regex sources.
+ * hashKey: HMAC key of the "hash" style (default: random, this redactor only).
+ * Returns { style, redactText(s) -> { text, counts } }.
+ */
+function createRedactor({ detectors = [], terms = [], patterns = [], style = "label", hashKey = null } = {}) {
+  if (!REDACT_STYLES.includes(style)) {
+    throw new Error(`Unknown --redact-style "${style}" (expected ${REDACT_STYLES.join(", ")})`);
+  }
+  const key = hashKey || crypto.randomBytes(32);
+
+  // Secrets first: a key may contain something that looks like an email / IP
+  const rules = [];
+  for (const name of ["keys", ...detectors.filter((d) => d !== "keys")]) {
+    if (!detectors.includes(name)) continue;
+    for (const re of DETECTORS[name]) rules.push({ name, re });
+  }
+  for (const p of patterns) rules.push({ name: "patterns", re: p });
+  for (const t of terms) {
+    const edge = (c) => (/\w/.test(c) ? "\\b" : "");
+    rules.push({
+      name: "terms",
+      re: new RegExp(`${edge(t[0])}${escapeRegExp(t)}${edge(t[t.length - 1])}`, "gi"),
+    });
+  }
+
+  function redactText(s) {
+    const counts = {};
+    let text = String(s ?? "");
+    for (const { name, re } of rules) {
+      text = text.replace(re, (...args) => {
+        const match = args[0];
+        const groups = typeof args[args.length - 1] === "object" ? args[args.length - 1] : null;
+        const secret = groups && groups.secret;
+        if (!match) return match; // empty match of a user pattern
+        counts[name] = (counts[name] || 0) + 1;
+        if (!secret) return mask(match, MASK_TAGS[name], style, key);
+        const at = match.lastIndexOf(secret);
+        return match.slice(0, at) + mask(secret, MASK_TAGS[name], style, key) + match.slice(at + secret.length);
+      });
+    }
+    return { text, counts };
+  }
+
+  return { style, redactText };
+}
+
+/**
+ * Redactor from the shared CLI options (chat_cli_options.js REDACT_OPTIONS),
+ * or null when redaction is off.
+ */
+function redactorFromOptions(opts) {
+  const detectors = opts.redact ? parseDetectorList(opts.redact) : [];
+  const terms = opts.redactTerms ? readListFile(opts.redactTerms).map((l) => l.text) : [];
+  const patterns = opts.redactPatterns
+    ? readListFile(opts.redactPatterns).map((l) => {
+        try {
+          // "/regex/flags" or a bare regex
+          const m = l.text.match(/^\/(.+)\/([a-z]*)$/);
+          return m ? new RegExp(m[1], m[2].replace("g", "") + "g") : new RegExp(l.text, "g");
+        } catch (err) {
+          throw new Error(`${opts.redactPatterns}:${l.line}: invalid pattern (${err.message})`);
+        }
+      })
+    : [];
+  if (!detectors.length && !terms.length && !patterns.length) return null;
+  return createRedactor({
+    detectors,
+    terms,
+    patterns,
+    style: opts.redactStyle || "label",
+    hashKey: opts.redactKey || null,
+  });
+}
+
+const addCounts = (into, counts) => {
+  for (const [k, n] of Object.entries(counts)) into[k] = (into[k] || 0) + n;
+  return into;
+};
+
+// Redact the text nodes and text attributes under node (in place); skip: selector not to enter
+function redactNode($, node, redactor, skip = null) {
+  const counts = {};
+  const visit = (el) => {
+    for (const c of el.children || []) {
+      if (c.type === "text") {
+        const r = redactor.redactText(c.data);
+        if (r.text !== c.data) c.data = r.text;
+        addCounts(counts, r.counts);
+      } else if (c.type === "tag" && !SKIP_TAGS.has(c.name) && !(skip && $(c).is(skip))) {
+        for (const a of TEXT_ATTRS) {
+          if (c.attribs && c.attribs[a]) {
+            const r = redactor.redactText(c.attribs[a]);
+            c.attribs[a] = r.text;
+            addCounts(counts, r.counts);
+          }
+        }
+        visit(c);
+      }
+    }
+  };
+  visit(node);
+  return counts;
+}
+
+function redactHtml(html, redactor) {
+  if (!html) return { html, counts: {} };
+  const $ = cheerio.load(html, null, false);
+  const counts = redactNode($, $.root().get(0), redactor);
+  return { html: $.html(), counts };
+}
+
+// One message: html (counted), text (same content, not counted again), files
+function redactMessage(m, redactor) {
+  const html = redactHtml(m.html, redactor);
+  const text = redactor.redactText(m.text);
+  const files = (m.files || []).map((f) => redactor.redactText(f));
+  const counts = { ...(m.html ? html.counts : text.counts) };
+  for (const f of files) addCounts(counts, f.counts);
+  return {
+    message: { ...m, html: html.html, text: m.text == null ? m.text : text.text, files: files.map((f) => f.text) },
+    counts,
+  };
+}
+
+const hasCounts = (counts) => Object.keys(counts).length > 0;
+
+/**
+ * Redact numbered messages (and their alternates). Returns { messages, log };
+ * log: [{ globalIdx, altIdx?, counts: { keys: 2, emails: 1, ... } }].
+ */
+function redactMessages(messages, redactor) {
+  const log = [];
+  const out = messages.map((m) => {
+    const r = redactMessage(m, redactor);
+    if (hasCounts(r.counts)) log.push({ globalIdx: m.globalIdx, counts: r.counts });
+
+    if (!m.alternates) return r.message;
+    const alternates = m.alternates.map((a) => ({
+      ...a,
+      messages: a.messages.map((x) => {
+        const rx = redactMessage(x, redactor);
+        if (hasCounts(rx.counts)) log.push({ globalIdx: m.globalIdx, altIdx: x.altIdx, counts: rx.counts });
+        return rx.message;
+      }),
+    }));
+    return { ...r.message, alternates };
+  });
+  return { messages: out, log };
+}
+
+/**
+ * Redact a rendered transcript (cropper). Messages are counted by their
+ * data-global-idx / data-alt-idx; the rest (title, contents, outline
+ * headings) is masked too but not counted, it repeats message text.
+ */
+function redactTranscriptHtml(html, redactor) {
+  const $ = cheerio.load(html);
+  const log = [];
+  const idx = (el, name) => {
+    const v = $(el).attr(name);
+    return v != null && /^\d+$/.test(v) ? Number(v) : null;
+  };
+
+  $(".turn").each((_, t) => {
+    const counts = redactNode($, t, redactor, ".alt, .outlineHeading");
+    if (hasCounts(counts)) log.push({ globalIdx: idx(t, "data-global-idx"), counts });
+  });
+  $(".alt").each((_, a) => {
+    const counts = redactNode($, a, redactor);
+    if (hasCounts(counts)) {
+      log.push({ globalIdx: idx(a, "data-of-global-idx"), altIdx: idx(a, "data-alt-idx"), counts });
+    }
+  });
+
+  redactNode($, $.root().get(0), redactor);
+  return { html: $.html(), log };
+}
+
+// "out.pdf" -> "out.redactions.txt"
+function redactionLogPathFor(out) {
+  return out.replace(/\.(pdf|html)$/i, "") + ".redactions.txt";
+}
+
+function formatRedactionLog(log, { style, source } = {}) {
+  const sorted = log
+    .slice()
+    .sort((a, b) => (a.globalIdx ?? Infinity) - (b.globalIdx ?? Infinity) || (a.altIdx || 0) - (b.altIdx || 0));
+  const totals = {};
+  const lines = [
+    `Redaction log${source ? ` for ${source}` : ""} (style: ${style || "label"}; values are not listed)`,
+    "",
+  ];
+  for (const e of sorted) {
+    addCounts(totals, e.counts);
+    const where = `${e.globalIdx == null ? "(no index)" : `#${e.globalIdx}`}${e.altIdx ? ` Alt ${e.altIdx}` : ""}`;
+    const what = Object.entries(e.counts)
+      .map(([k, n]) => `${k}: ${n}`)
+      .join(", ");
+    lines.push(`${where.padEnd(14)} ${what}`);
+  }
+  const total = Object.values(totals).reduce((a, b) => a + b, 0);
+  lines.push(
+    "",
+    `Total: ${total} in ${sorted.length} message${sorted.length === 1 ? "" : "s"}` +
+      (total ? ` (${Object.entries(totals).map(([k, n]) => `${k}: ${n}`).join(", ")})` : "")
+  );
+  return lines.join("\n") + "\n";
+}
+
+const redactionTotal = (log) =>
+  log.reduce((sum, e) => sum + Object.values(e.counts).reduce((a, b) => a + b, 0), 0);
+
+// "Redacted 5 values in 2 messages"
+const formatRedactionSummary = (log) =>
+  `Redacted ${redactionTotal(log)} value${redactionTotal(log) === 1 ? "" : "s"} in ${log.length} message${log.length === 1 ? "" : "s"}`;
+
+module.exports = {
+  DETECTOR_NAMES,
+  REDACT_STYLES,
+  parseDetectorList,
+  createRedactor,
+  redactorFromOptions,
+  redactMessages,
+  redactTranscriptHtml,
+  redactionLogPathFor,
+  formatRedactionLog,
+  redactionTotal,
+  formatRedactionSummary,
+};
@@ -0,0 +1,639 @@
+/**
+ * transcript_render.js
+ *
+ * Rendering half of the exporter: turns a numbered message list (global,
+ * per-role and running counters already assigned) into the lightweight
+ * transcript HTML, and prints that HTML to PDF.
+ *
+ * Shared by:
+ *   - reconstitute_HCI_chats_final.js (live scroll-harvest of a saved page)
+ *   - rehydrate_chat_archive.js       (re-render from a JSON archive)
+ */
+
+const path = require("path");
+const { pathToFileURL } = require("url");
+const { DEFAULT_THEME, themeStyleTags } = require("./transcript_themes");
+const { normalizeCodeBlocks, CODE_CSS } = require("./transcript_code");
+const { renderMath, hasRenderedMath, mathCss } = require("./transcript_math");
+const { META_NAMES, pageTemplates } = require("./transcript_page_templates");
+const { escapeHtml, escapeAttr } = require("./html_escape");
+
+// Render policy defaults
+const RENDER_DEFAULTS = {
+  stripImages: false, // do not embed images in PDF
+  listFiles: true,    // list detected file names per message
+  showImages: false,  // images stay hidden unless the image policy keeps them (transcript_images.js)
+  theme: DEFAULT_THEME, // named look, see transcript_themes.js
+  customCss: "",      // extra user CSS (--css file), applied after the theme
+  alternates: "collapsible", // other versions of regenerated/edited turns: collapsible | appendix | none
+  highlight: true,    // syntax-highlight code blocks (transcript_code.js)
+  lineNumbers: false, // number code lines
+  codeWrap: true,     // soft-wrap long code lines instead of cutting them off
+  toc: true,          // table of contents (one entry per user prompt) + PDF bookmarks
+};
+
+const ALTERNATES_MODES = ["collapsible", "appendix", "none"];
+
+// Stable machine-readable metadata on every .turn (the cropper reads these
+// instead of scraping the label text)
+function turnDataAttrs(m, role) {
+  const attrs = {
+    "data-global-idx": m.globalIdx,
+    "data-role": role,
+    "data-role-idx": role === "user" ? m.userIdx : role === "assistant" ? m.assistantIdx : null,
+    "data-user-count": m.userCountSoFar,
+    "data-assistant-count": m.assistantCountSoFar,
+    "data-turn-id": m.turnId,
+    "data-turn-num": m.turnNum,
+    "data-msg-id": m.msgId,
+    "data-version": m.version ? m.version.index : null,
+    "data-version-count": m.version ? m.version.count : null,
+  };
+  return Object.entries(attrs)
+    .filter(([, v]) => v != null && v !== "" && !Number.isNaN(v))
+    .map(([k, v]) => `${k}="${escapeAttr(v)}"`)
+    .join(" ");
+}
+
+function stripImagesFromHtml(html, opts = RENDER_DEFAULTS) {
+  if (!opts.stripImages) return String(html);
+  return String(html)
+    .replace(/<picture[\s\S]*?<\/picture>/gi, "")
+    .replace(/<img\b[^>]*>/gi, "")
+    .replace(/<video[\s\S]*?<\/video>/gi, "");
+}
+
+function renderFilesList(files, opts = RENDER_DEFAULTS) {
+  if (!opts.listFiles) return "";
+  const list = (files || []).filter(Boolean);
+  if (!list.length) return "";
+  const items = list
+    .map((f) => `<li><span class="file">${escapeHtml(f)}</span></li>`)
+    .join("");
+  return `
+      <div class="files">
+        <div class="filesLabel">Files</div>
+        <ul class="filesList">${items}</ul>
+      </div>
+    `;
+}
+
+function renderContent(m, opts) {
+  const html = m.html
+    ? normalizeCodeBlocks(renderMath(stripImagesFromHtml(m.html, opts)), opts)
+    : "";
+  return html && html.trim()
+    ? html
+    : `<pre class="plain">${escapeHtml(m.text || "")}</pre>`;
+}
+
+function roleBadgeOf(m) {
+  const role = (m.role || "").toLowerCase();
+  return role === "user"
+    ? `User ${m.userIdx}`
+    : role === "assistant"
+    ? `Assistant ${m.assistantIdx}`
+    : role.toUpperCase();
+}
+
+// Anchor of a message, for deep links ("out.html#msg-123" = Index #123)
+const messageAnchor = (globalIdx) => `msg-${globalIdx}`;
+
+// "U007": the user-prompt badge of the table of contents
+const userBadge = (userIdx) => (userIdx == null ? "U???" : `U${String(userIdx).padStart(3, "0")}`);
+
+// First words of a prompt, on one line
+function tocSnippet(text, max = 90) {
+  const t = String(text || "").replace(/\s+/g, " ").trim();
+  if (!t) return "(no text)";
+  return t.length > max ? `${t.slice(0, max - 1).trimEnd()}…` : t;
+}
+
+/**
+ * Table of contents: one entry per user prompt, linking to its anchor.
+ * entries: [{ globalIdx, userIdx, snippet }] (the cropper rebuilds it from
+ * the kept turns with the same function).
+ */
+function renderToc(entries) {
+  if (!entries.length) return "";
+  const items = entries
+    .map(
+      (e) => `
+        <li><a href="#${messageAnchor(e.globalIdx)}"><span class="tocBadge">${userBadge(e.userIdx)}</span><span class="tocSnippet">${escapeHtml(e.snippet)}</span><span class="tocIdx">#${e.globalIdx}</span></a></li>`
+    )
+    .join("");
+  return `
+    <nav class="toc" id="toc">
+      <h2 class="tocTitle">Contents</h2>
+      <ol class="tocList">${items}
+      </ol>
+    </nav>`;
+}
+
+const tocEntries = (messages) =>
+  messages
+    .filter((m) => (m.role || "").toLowerCase() === "user")
+    .map((m) => ({ globalIdx: m.globalIdx, userIdx: m.userIdx, snippet: tocSnippet(m.text) }));
+
+// Alternates of a message's turn, in version order
+const alternateMessages = (m) =>
+  (m.alternates || []).flatMap((a) => a.messages.map((x) => ({ ...x, version: a.version })));
+
+// One other version of m's turn: own "Alt n" counter, no main counters
+function renderAlternate(alt, m, opts) {
+  const role = (alt.role || "").toLowerCase();
+  const count = m.version ? m.version.count : "?";
+  return `
+<div class="alt ${role}" id="alt-${alt.altIdx}" data-alt-idx="${alt.altIdx}" data-version="${alt.version}" data-of-global-idx="${m.globalIdx}">
+  <div class="bubble">
+    <div class="meta">
+      <span class="badge">Alt ${alt.altIdx}</span>
+      <span class="version">version ${alt.version}/${count}</span>
+      <span class="dot">of</span>
+      <span class="running"><a href="#${messageAnchor(m.globalIdx)}">${roleBadgeOf(m)} · Index #${m.globalIdx}</a></span>
+    </div>
+
+    ${renderFilesList(alt.files, opts)}
+
+    <div class="content markdown">${renderContent(alt, opts)}</div>
+  </div>
+</div>`;
+}
+
+function renderMessage(m, opts = RENDER_DEFAULTS) {
+  const role = (m.role || "").toLowerCase();
+  const mode = opts.alternates || RENDER_DEFAULTS.alternates;
+  const alts = mode === "none" ? [] : alternateMessages(m);
+
+  const anchor = messageAnchor(m.globalIdx);
+  const global = `<a href="#${anchor}">Index #${m.globalIdx}</a>`;
+  const running = `U:${m.userCountSoFar} + A:${m.assistantCountSoFar}`;
+
+  const version = m.version
+    ? `
+      <span class="dot">•</span>
+      <span class="version">version ${m.version.index}/${m.version.count}</span>`
+    : "";
+
+  // appendix: link to the alternates at the end; collapsible: show them here
+  const altLinks =
+    mode === "appendix" && alts.length
+      ? `
+      <span class="altLinks">${alts
+        .map((a) => `<a href="#alt-${a.altIdx}">Alt ${a.altIdx}</a>`)
+        .join(" ")}</span>`
+      : "";
+
+  const altBlock =
+    mode === "collapsible" && alts.length
+      ? `
+  <details class="alternates">
+    <summary>${alts.length} other version${alts.length === 1 ? "" : "s"} of ${roleBadgeOf(m)}</summary>
+    ${alts.map((a) => renderAlternate(a, m, opts)).join("\n")}
+  </details>`
+      : "";
+
+  // PDF bookmarks come from headings; one (visually hidden) per user prompt
+  const outline =
+    opts.toc && role === "user"
+      ? `
+  <h2 class="outlineHeading">${userBadge(m.userIdx)} · ${escapeHtml(tocSnippet(m.text, 60))}</h2>`
+      : "";
+
+  return `
+<div class="turn ${role}" id="${anchor}" ${turnDataAttrs(m, role)}>${outline}
+  <div class="bubble">
+    <div class="meta">
+      <span class="badge">${roleBadgeOf(m)}</span>
+      <span class="global">${global}</span>
+      <span class="dot">=</span>
+      <span class="running">${running}</span>${version}${altLinks}
+    </div>
+
+    ${renderFilesList(m.files, opts)}
+
+    <div class="content markdown">${renderContent(m, opts)}</div>
+  </div>${altBlock}
+</div>`;
+}
+
+// "Alternate versions" section at the end (--alternates appendix)
+function renderAlternatesAppendix(messages, opts = RENDER_DEFAULTS) {
+  if ((opts.alternates || RENDER_DEFAULTS.alternates) !== "appendix") return "";
+  const blocks = messages.flatMap((m) => alternateMessages(m).map((a) => renderAlternate(a, m, opts)));
+  if (!blocks.length) return "";
+  return `
+    <div class="appendix">
+      <h2 class="outlineHeading">Alternate versions</h2>
+      <p class="title">Alternate versions (regenerated / edited, not in the main flow)</p>
+      ${blocks.join("\n")}
+    </div>`;
+}
+
+function imageCss(opts) {
+  if (!opts.showImages) {
+    return `  /* Ensure images never render into PDF */
+  img, picture, video, svg { display: none !important; }`;
+  }
+  return `  /* Images kept by the image policy (inline / sidecar) */
+  .content img{
+    display: block;
+    max-width: 100%;
+    height: auto;
+    margin: 10px 0;
+    border-radius: 12px;
+  }
+  .imgOmitted{ font-style: italic; opacity: .85; }
+  video, svg { display: none !important; }`;
+}
+
+/**
+ * Full standalone transcript page.
+ *   title:    shown in <title> and the header (usually the source file basename)
+ *   messages: numbered messages, in order
+ *   totals:   { turns, messages, user, assistant }
+ *   headerHtml: extra markup appended inside the header (e.g. completeness report)
+ *   source, exportedAt: source file name and export time, kept in <meta> tags
+ *              for the PDF page header / footer (transcript_page_templates.js)
+ */
+function renderTranscriptHtml({
+  title,
+  messages,
+  totals,
+  headerHtml = "",
+  source = "",
+  exportedAt = new Date().toISOString(),
+  opts = RENDER_DEFAULTS,
+}) {
+  const body = messages.map((m) => renderMessage(m, opts)).join("\n");
+  const appendix = renderAlternatesAppendix(messages, opts);
+  const toc = opts.toc ? renderToc(tocEntries(messages)) : "";
+
+  return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8" />
+<title>Chat Transcript: ${escapeHtml(title)}</title>
+<meta name="${META_NAMES.title}" content="${escapeAttr(title)}" />
+<meta name="${META_NAMES.source}" content="${escapeAttr(source || "")}" />
+<meta name="${META_NAMES.exportedAt}" content="${escapeAttr(exportedAt || "")}" />
+<style>
+  /* Layout only; colors, fonts and spacing come from the theme (transcript_themes.js) */
+  body{
+    margin: 0;
+    background: var(--bg);
+    color: var(--text);
+    font-family: var(--font);
+    font-size: var(--font-size);
+    line-height: var(--line-height);
+    text-rendering: optimizeLegibility;
+    -webkit-font-smoothing: antialiased;
+    -moz-osx-font-smoothing: grayscale;
+  }
+
+  .wrap{
+    max-width: var(--wrap-width);
+    margin: 0 auto;
+    padding: 22px 16px 48px;
+  }
+
+  .header{
+    background: var(--panel);
+    border: 1px solid var(--border);
+    border-radius: var(--radius);
+    padding: 14px 16px;
+    margin-bottom: 16px;
+    box-shadow: 0 8px 22px var(--shadow);
+  }
+
+  .title{
+    font-weight: 900;
+    letter-spacing: .01em;
+    margin: 0 0 6px;
+    font-size: 16px;
+  }
+  .summary{
+    margin: 0;
+    font-size: 13px;
+    font-weight: 800;
+  }
+
+  /* Completeness report */
+  .report{
+    margin-top: 10px;
+    padding: 8px 12px;
+    border-radius: 12px;
+    border: 1px solid var(--border);
+    font-size: 12px;
+    font-weight: 750;
+  }
+  .report.warn{ border-color: var(--warn); }
+  .reportTitle{ margin: 0; font-weight: 950; }
+  .reportList{ margin: 6px 0 0 18px; padding: 0; }
+  .reportList li{ margin: 2px 0; word-break: break-word; }
+
+  .turn{
+    display: block;
+    margin: var(--turn-gap) 0;
+    page-break-inside: avoid;
+  }
+
+  .bubble{
+    border: 1px solid var(--border);
+    border-radius: var(--radius);
+    padding: var(--bubble-pad);
+    box-shadow: 0 8px 22px var(--shadow);
+    background: var(--bubble-assistant);
+  }
+
+  .turn.user .bubble{
+    background: var(--bubble-user);
+  }
+
+  .meta{
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    color: var(--text);       /* do not fade */
+    font-size: 13px;
+    font-weight: 900;
+    margin-bottom: 10px;
+  }
+
+  .badge{
+    font-weight: 950;
+    letter-spacing: .02em;
+    color: var(--text);
+    background: var(--badge-bg);
+    border: 1px solid var(--badge-border);
+    padding: 2px 10px;
+    border-radius: 999px;
+  }
+
+  .global{ font-weight: 950; }
+  .dot{ opacity: .85; }
+  .running{ font-weight: 900; }
+
+  /* Alternate versions (regenerated / edited turns) */
+  .version{ font-weight: 900; opacity: .85; }
+  .altLinks a{ color: var(--link); text-decoration: none; margin-left: 4px; }
+  .alternates{ margin: 6px 0 0 22px; }
+  .alternates > summary{
+    cursor: pointer;
+    font-size: 13px;
+    font-weight: 900;
+    opacity: .85;
+  }
+  .alt{
+    display: block;
+    margin: 8px 0;
+    page-break-inside: avoid;
+  }
+  .alt .bubble{
+    border-style: dashed;
+    box-shadow: none;
+  }
+  .alt.user .bubble{
+    background: var(--bubble-user);
+  }
+  .appendix{ margin-top: 28px; }
+
+  /* Table of contents */
+  .toc{
+    background: var(--panel);
+    border: 1px solid var(--border);
+    border-radius: var(--radius);
+    padding: 14px 16px;
+    margin-bottom: 16px;
+  }
+  .tocTitle{ margin: 0 0 8px; font-size: 16px; }
+  .tocList{ list-style: none; margin: 0; padding: 0; }
+  .tocList li{ margin: 3px 0; break-inside: avoid; }
+  .tocList a{ display: flex; gap: 10px; align-items: baseline; color: var(--text); text-decoration: none; }
+  .tocBadge{
+    font-family: var(--mono);
+    font-size: 12px;
+    padding: 1px 8px;
+    border-radius: 999px;
+    border: 1px solid var(--badge-border);
+    background: var(--badge-bg);
+  }
+  .tocSnippet{ flex: 1; min-width: 0; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+  .tocIdx{ font-size: 12px; opacity: .6; }
+  .meta a{ color: inherit; text-decoration: none; }
+
+  /* In the document outline (PDF bookmarks), not on the page */
+  .outlineHeading{
+    position: absolute;
+    width: 1px;
+    height: 1px;
+    margin: -1px;
+    padding: 0;
+    overflow: hidden;
+    clip: rect(0 0 0 0);
+    white-space: nowrap;
+    border: 0;
+  }
+
+  /* Files block */
+  .files{
+    margin: 0 0 10px 0;
+    padding: 10px 10px;
+    border-radius: 14px;
+    border: 1px dashed var(--file-border);
+    background: var(--file-bg);
+  }
+  .filesLabel{
+    font-size: 12px;
+    font-weight: 950;
+    letter-spacing: .03em;
+    margin-bottom: 6px;
+  }
+  .filesList{
+    margin: 0 0 0 18px;
+    padding: 0;
+  }
+  .filesList li{
+    margin: 3px 0;
+  }
+  .file{
+    font-family: var(--mono);
+    font-size: 13px;
+  }
+
+  /* Markdown-ish rendering */
+  .content > *:first-child{ margin-top: 0; }
+  .content > *:last-child{ margin-bottom: 0; }
+  .content p{ margin: 0 0 12px; }
+
+  .content ul, .content ol{ margin: 8px 0 12px 22px; padding: 0; }
+  .content li{ margin: 4px 0; }
+
+  .content blockquote{
+    margin: 12px 0;
+    padding: 12px 14px;
+    border-left: 3px solid var(--quote-border);
+    background: var(--quote-bg);
+    border-radius: 14px;
+  }
+
+  .content h1,.content h2,.content h3,.content h4{
+    margin: 16px 0 10px;
+    line-height: 1.25;
+    letter-spacing: .01em;
+  }
+  .content h1{ font-size: 22px; }
+  .content h2{ font-size: 18px; }
+  .content h3{ font-size: 16px; }
+  .content h4{ font-size: 15px; }
+
+  .content a{ color: var(--link); text-decoration: none; }
+  .content a:hover{ text-decoration: underline; }
+
+  .content code{
+    font-family: var(--mono);
+    font-size: 0.96em;
+    background: var(--code-bg);
+    padding: 0.18em 0.40em;
+    border-radius: 10px;
+    border: 1px solid var(--code-border);
+  }
+
+  .content pre{
+    margin: 12px 0;
+    padding: 14px 14px;
+    overflow: auto;
+    background: var(--code-bg);
+    border: 1px solid var(--pre-border);
+    border-radius: var(--radius);
+  }
+
+  .content pre code{
+    background: transparent;
+    border: 0;
+    padding: 0;
+  }
+
+  .content hr{
+    border: 0;
+    border-top: 1px solid var(--hr);
+    margin: 16px 0;
+  }
+
+  /* Tables */
+  .content table{
+    width: 100%;
+    border-collapse: collapse;
+    margin: 12px 0;
+    border-radius: var(--radius);
+    overflow: hidden;
+    border: 1px solid var(--table-border);
+  }
+  .content th, .content td{
+    padding: 10px 12px;
+    vertical-align: top;
+    border-bottom: 1px solid var(--cell-border);
+  }
+  .content th{
+    text-align: left;
+    background: var(--th-bg);
+    font-weight: 950;
+  }
+  .content tr:last-child td{ border-bottom: 0; }
+
+  /* Code blocks (normalized, see transcript_code.js) */
+${CODE_CSS}
+  /* Plain fallback */
+  .plain{
+    white-space: pre-wrap;
+    word-break: break-word;
+    margin: 0;
+  }
+
+${imageCss(opts)}
+
+  @media print{
+    /* print colors are the theme's print variables */
+    .wrap{ padding: 0; }
+    .header, .bubble{ box-shadow: none; }
+    .toc{ break-after: page; }
+  }
+</style>
+${hasRenderedMath(body + appendix) ? `<style id="mathCss">${mathCss()}</style>\n` : ""}${themeStyleTags(opts)}
+</head>
+<body>
+  <div class="wrap">
+    <div class="header">
+      <p class="title">Chat Transcript: ${escapeHtml(title)} (rehydrated${opts.showImages ? "" : ", images stripped"})</p>
+      <p class="summary">
+        Turns: <strong>${totals.turns}</strong> • Messages: <strong>${totals.messages}</strong> •
+        User msgs: <strong>${totals.user}</strong> • Assistant msgs: <strong>${totals.assistant}</strong> •
+        (Images generated ≈ User−Assistant): <strong>${totals.user - totals.assistant}</strong>
+      </p>${headerHtml}
+    </div>
+
+${toc}
+    ${body}
+${appendix}
+  </div>
+</body>
+</html>`;
+}
+
+// PDF page setup; scripts override it with --paper / --landscape / --margin / --timeout
+const PDF_DEFAULTS = {
+  format: "A4",
+  landscape: false,
+  margin: { top: "12mm", right: "12mm", bottom: "18mm", left: "12mm" }, // room for header / footer
+  timeout: 0,
+};
+
+// Replace page with lightweight transcript, then print to PDF.
+// fromFile: load the saved HTML file instead, so relative (sidecar) image paths resolve
+// pdf: page setup overrides (PDF_DEFAULTS)
+// templates: { header, footer } page templates (transcript_page_templates.js; null: defaults)
+async function printTranscriptPdf(
+  page,
+  html,
+  outPdf,
+  { fromFile = null, pdf = {}, templates = {} } = {}
+) {
+  if (fromFile) {
+    await page.goto(pathToFileURL(path.resolve(fromFile)).href, { waitUntil: "load" });
+  } else {
+    await page.setContent(html, { waitUntil: "load" });
+  }
+
+  // Collapsed alternates would be left out of the PDF
+  await page.evaluate(() => {
+    document.querySelectorAll("details.alternates").forEach((d) => (d.open = true));
+  });
+
+  await page.pdf({
+    path: outPdf,
+    ...PDF_DEFAULTS,
+    ...pdf,
+    printBackground: true,
+    displayHeaderFooter: true,
+    ...pageTemplates(html, templates),
+    outline: true, // bookmarks from the headings (TOC title, one per user prompt)
+    tagged: true,
+  });
+}
+
+module.exports = {
+  RENDER_DEFAULTS,
+  ALTERNATES_MODES,
+  stripImagesFromHtml,
+  renderFilesList,
+  roleBadgeOf,
+  alternateMessages,
+  messageAnchor,
+  tocSnippet,
+  renderToc,
+  renderMessage,
+  renderAlternatesAppendix,
+  renderTranscriptHtml,
+  PDF_DEFAULTS,
+  printTranscriptPdf,
+};
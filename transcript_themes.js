@@ -0,0 +1,339 @@
+/**
+ * transcript_themes.js
+ *
+ * Named looks for the rendered transcript (--theme):
+ *   dark           the original palette (default)
+ *   light          light background, GitHub-like colors
+ *   high-contrast  black / white / yellow links, larger text
+ *   compact        dark palette, dense spacing for long chats
+ *   chatgpt        ChatGPT-like: gray user bubbles on the right, plain assistant text
+ *
+ * The base layout in transcript_render.js only uses CSS variables; a theme is
+ * a set of variable values for screen and print, plus optional extra CSS. The
+ * theme goes into <style id="transcriptTheme"> and a user CSS file (--css)
+ * into <style id="customCss">, both after the base layout, so the cropper can
+ * swap them later and user rules win.
+ */
+
+// Screen defaults (the original dark palette and layout)
+const BASE_VARS = {
+  "--bg": "#0b0f19",
+  "--panel": "rgba(255,255,255,.04)",
+  "--bubble-assistant": "#111827",
+  "--bubble-user": "#0b2a1b",
+  "--text": "#f4f6fb",
+  "--border": "rgba(255,255,255,.12)",
+  "--code-bg": "rgba(255,255,255,.07)",
+  "--code-border": "rgba(255,255,255,.10)",
+  "--pre-border": "rgba(255,255,255,.12)",
+  "--shadow": "rgba(0,0,0,.35)",
+  "--file-bg": "rgba(255,255,255,.06)",
+  "--file-border": "rgba(255,255,255,.16)",
+  "--badge-bg": "rgba(255,255,255,.06)",
+  "--badge-border": "rgba(255,255,255,.12)",
+  "--quote-bg": "rgba(255,255,255,.06)",
+  "--quote-border": "rgba(255,255,255,.22)",
+  "--hr": "rgba(255,255,255,.14)",
+  "--table-border": "rgba(255,255,255,.14)",
+  "--th-bg": "rgba(255,255,255,.06)",
+  "--cell-border": "rgba(255,255,255,.12)",
+  "--link": "#8ab4f8",
+  "--warn": "rgba(255,190,80,.55)",
+  "--hl-keyword": "#ff7b72",
+  "--hl-string": "#a5d6ff",
+  "--hl-number": "#79c0ff",
+  "--hl-comment": "#8b949e",
+  "--hl-title": "#d2a8ff",
+  "--hl-attr": "#79c0ff",
+  "--hl-builtin": "#ffa657",
+  "--hl-meta": "#7ee787",
+  "--hl-add": "#7ee787",
+  "--hl-del": "#ffa198",
+  "--font":
+    '"Atkinson Hyperlegible", "Inter", "Segoe UI", "Noto Sans", "Roboto", system-ui, -apple-system, sans-serif',
+  "--mono": 'ui-monospace, SFMono-Regular, Menlo, Consolas, "Liberation Mono", monospace',
+  "--font-size": "16px",
+  "--line-height": "1.62",
+  "--wrap-width": "980px",
+  "--radius": "16px",
+  "--turn-gap": "12px",
+  "--bubble-pad": "12px 14px 12px",
+};
+
+// Syntax colors readable on a light background (light themes and print)
+const LIGHT_CODE_VARS = {
+  "--hl-keyword": "#cf222e",
+  "--hl-string": "#0a3069",
+  "--hl-number": "#0550ae",
+  "--hl-comment": "#6e7781",
+  "--hl-title": "#8250df",
+  "--hl-attr": "#0550ae",
+  "--hl-builtin": "#953800",
+  "--hl-meta": "#116329",
+  "--hl-add": "#116329",
+  "--hl-del": "#82071e",
+};
+
+// Print defaults: black on white paper, whatever the screen palette
+const PRINT_VARS = {
+  ...LIGHT_CODE_VARS,
+  "--bg": "#fff",
+  "--panel": "#fff",
+  "--bubble-assistant": "#fff",
+  "--bubble-user": "#fff",
+  "--text": "#111",
+  "--border": "#ddd",
+  "--code-bg": "#f4f4f4",
+  "--code-border": "#e2e2e2",
+  "--pre-border": "#e2e2e2",
+  "--shadow": "transparent",
+  "--file-bg": "#f7f7f7",
+  "--file-border": "#d9d9d9",
+  "--badge-bg": "#f2f2f2",
+  "--badge-border": "#e0e0e0",
+  "--quote-bg": "#f7f7f7",
+  "--quote-border": "#bbb",
+  "--hr": "#e2e2e2",
+  "--table-border": "#e2e2e2",
+  "--th-bg": "#f6f6f6",
+  "--cell-border": "#e2e2e2",
+  "--link": "#0b5ed7",
+  "--warn": "#e0a040",
+};
+
+const THEMES = {
+  dark: {
+    label: "Dark",
+    vars: {},
+  },
+
+  light: {
+    label: "Light",
+    vars: {
+      "--bg": "#f7f7f8",
+      "--panel": "#ffffff",
+      "--bubble-assistant": "#ffffff",
+      "--bubble-user": "#eef6f0",
+      "--text": "#1f2328",
+      "--border": "#d0d7de",
+      "--code-bg": "#f3f4f6",
+      "--code-border": "#e5e7eb",
+      "--pre-border": "#e5e7eb",
+      "--shadow": "rgba(0,0,0,.08)",
+      "--file-bg": "#f6f8fa",
+      "--file-border": "#c9d1d9",
+      "--badge-bg": "#f3f4f6",
+      "--badge-border": "#d0d7de",
+      "--quote-bg": "#f6f8fa",
+      "--quote-border": "#c9d1d9",
+      "--hr": "#d8dee4",
+      "--table-border": "#d0d7de",
+      "--th-bg": "#f6f8fa",
+      "--cell-border": "#d8dee4",
+      "--link": "#0969da",
+      "--warn": "#d4a72c",
+      ...LIGHT_CODE_VARS,
+    },
+    print: {
+      "--bubble-user": "#eef6f0",
+    },
+  },
+
+  "high-contrast": {
+    label: "High contrast",
+    vars: {
+      "--bg": "#000",
+      "--panel": "#000",
+      "--bubble-assistant": "#000",
+      "--bubble-user": "#001b33",
+      "--text": "#fff",
+      "--border": "#fff",
+      "--code-bg": "#1a1a1a",
+      "--code-border": "#fff",
+      "--pre-border": "#fff",
+      "--shadow": "transparent",
+      "--file-bg": "#000",
+      "--file-border": "#fff",
+      "--badge-bg": "#000",
+      "--badge-border": "#fff",
+      "--quote-bg": "#000",
+      "--quote-border": "#ffff00",
+      "--hr": "#fff",
+      "--table-border": "#fff",
+      "--th-bg": "#1a1a1a",
+      "--cell-border": "#fff",
+      "--link": "#ffff00",
+      "--warn": "#ffff00",
+      "--hl-keyword": "#ffff00",
+      "--hl-string": "#00ffff",
+      "--hl-number": "#ff9dff",
+      "--hl-comment": "#c0c0c0",
+      "--hl-title": "#ffffff",
+      "--hl-attr": "#9dffb4",
+      "--hl-builtin": "#ffc266",
+      "--hl-meta": "#9dffb4",
+      "--hl-add": "#9dffb4",
+      "--hl-del": "#ff9d9d",
+      "--font-size": "17px",
+      "--line-height": "1.7",
+    },
+    print: {
+      "--text": "#000",
+      "--border": "#000",
+      "--code-bg": "#fff",
+      "--code-border": "#000",
+      "--pre-border": "#000",
+      "--file-bg": "#fff",
+      "--file-border": "#000",
+      "--badge-bg": "#fff",
+      "--badge-border": "#000",
+      "--quote-bg": "#fff",
+      "--quote-border": "#000",
+      "--hr": "#000",
+      "--table-border": "#000",
+      "--th-bg": "#eee",
+      "--cell-border": "#000",
+      "--link": "#000",
+      "--warn": "#000",
+      // Colors dropped on paper; comments stay italic
+      "--hl-keyword": "#000",
+      "--hl-string": "#000",
+      "--hl-number": "#000",
+      "--hl-comment": "#000",
+      "--hl-title": "#000",
+      "--hl-attr": "#000",
+      "--hl-builtin": "#000",
+      "--hl-meta": "#000",
+      "--hl-add": "#000",
+      "--hl-del": "#000",
+    },
+    css: `
+  .content a{ text-decoration: underline; }
+  .dot, .version, .alternates > summary{ opacity: 1; }`,
+  },
+
+  compact: {
+    label: "Compact",
+    vars: {
+      "--font-size": "13.5px",
+      "--line-height": "1.4",
+      "--wrap-width": "1100px",
+      "--radius": "10px",
+      "--turn-gap": "6px",
+      "--bubble-pad": "6px 10px 6px",
+    },
+    css: `
+  .meta{ margin-bottom: 4px; font-size: 12px; }
+  .content p{ margin: 0 0 6px; }
+  .content pre{ margin: 6px 0; padding: 8px 10px; }`,
+  },
+
+  chatgpt: {
+    label: "ChatGPT-like",
+    vars: {
+      "--bg": "#ffffff",
+      "--panel": "#f9f9f9",
+      "--bubble-assistant": "transparent",
+      "--bubble-user": "#f4f4f4",
+      "--text": "#0d0d0d",
+      "--border": "#e5e5e5",
+      "--code-bg": "#f9f9f9",
+      "--code-border": "#ececec",
+      "--pre-border": "#ececec",
+      "--shadow": "transparent",
+      "--file-bg": "#f9f9f9",
+      "--file-border": "#e5e5e5",
+      "--badge-bg": "#f4f4f4",
+      "--badge-border": "#e5e5e5",
+      "--quote-bg": "transparent",
+      "--quote-border": "#d9d9d9",
+      "--hr": "#ececec",
+      "--table-border": "#e5e5e5",
+      "--th-bg": "#f9f9f9",
+      "--cell-border": "#ececec",
+      "--link": "#2964aa",
+      "--warn": "#e0a040",
+      ...LIGHT_CODE_VARS,
+      "--font": 'ui-sans-serif, -apple-system, system-ui, "Segoe UI", Helvetica, Arial, sans-serif',
+      "--wrap-width": "768px",
+      "--radius": "24px",
+    },
+    print: {
+      "--bubble-assistant": "transparent",
+      "--bubble-user": "#f4f4f4",
+    },
+    css: `
+  .turn.user .bubble{
+    margin-left: auto;
+    max-width: 75%;
+    border: 0;
+    box-shadow: none;
+  }
+  .turn.assistant .bubble{
+    border: 0;
+    box-shadow: none;
+    padding-left: 0;
+    padding-right: 0;
+  }
+  .meta{ font-size: 12px; }
+  .content pre{ border-radius: 12px; }`,
+  },
+};
+
+const THEME_NAMES = Object.keys(THEMES);
+const DEFAULT_THEME = "dark";
+
+const THEME_STYLE_ID = "transcriptTheme";
+const CUSTOM_STYLE_ID = "customCss";
+
+function getTheme(name) {
+  const t = THEMES[String(name || DEFAULT_THEME).toLowerCase()];
+  if (!t) {
+    throw new Error(`Unknown theme "${name}" (expected ${THEME_NAMES.join(", ")})`);
+  }
+  return t;
+}
+
+const declarations = (vars, indent) =>
+  Object.entries(vars)
+    .map(([k, v]) => `${indent}${k}: ${v};`)
+    .join("\n");
+
+/**
+ * CSS of a theme: screen variables, print variables, extra rules.
+ */
+function themeCss(name = DEFAULT_THEME) {
+  const theme = getTheme(name);
+  return `
+  :root{
+${declarations({ ...BASE_VARS, ...theme.vars }, "    ")}
+  }
+  @media print{
+    :root{
+${declarations({ ...PRINT_VARS, ...(theme.print || {}) }, "      ")}
+    }
+  }${theme.css || ""}
+`;
+}
+
+// User CSS goes verbatim into a <style>; only a closing tag could break out of it
+const safeStyleText = (css) => String(css || "").replace(/<\/style/gi, "<\\/style");
+
+function themeStyleTags({ theme = DEFAULT_THEME, customCss = "" } = {}) {
+  return (
+    `<style id="${THEME_STYLE_ID}">${themeCss(theme)}</style>` +
+    (customCss ? `\n<style id="${CUSTOM_STYLE_ID}">\n${safeStyleText(customCss)}\n</style>` : "")
+  );
+}
+
+module.exports = {
+  THEMES,
+  THEME_NAMES,
+  DEFAULT_THEME,
+  THEME_STYLE_ID,
+  CUSTOM_STYLE_ID,
+  getTheme,
+  themeCss,
+  safeStyleText,
+  themeStyleTags,
+};
@@ -0,0 +1,342 @@
+/**
+ * transcript_viewer.js
+ *
+ * Interactive, self-contained variant of the rendered transcript (--viewer):
+ * the same page as renderTranscriptHtml() (counters, TOC, anchors unchanged)
+ * plus a sticky toolbar and a small inline script, with the search index
+ * embedded as JSON. Works offline from a single file.
+ *
+ * Toolbar:
+ *   - search: all words must match (case-insensitive); matches are
+ *     highlighted, Enter / Shift+Enter step through them, "Only matches"
+ *     hides the rest
+ *   - role filter: all / user / assistant
+ *   - jump: "123" or "#123" (global index), "U12" / "A7" (per-role index)
+ *   - collapse long messages (click "Show all" to expand one)
+ *   - "/" focuses the search box
+ *
+ * Alternates (other versions) are not indexed; formulas are found by their
+ * TeX source but not highlighted. The toolbar is not printed.
+ */
+
+const cheerio = require("cheerio");
+const { renderTranscriptHtml } = require("./transcript_render");
+
+// "out.pdf" / "out.html" -> "out.viewer.html"
+function viewerPathFor(out) {
+  return out.replace(/\.(pdf|html)$/i, "") + ".viewer.html";
+}
+
+// Not message text: code language labels, KaTeX's visual layer (the MathML
+// copy, with the TeX source, stays searchable)
+const INDEX_SKIP = ".codeLang, .katex-html";
+const BLOCKS = "p, li, pre, div, br, h1, h2, h3, h4, h5, h6, blockquote, tr, td, th";
+
+const toNumber = (v) => (v != null && /^\d+$/.test(v) ? Number(v) : null);
+
+/**
+ * Text of a rendered message's .content element as searched: without
+ * INDEX_SKIP, blocks separated ("<p>a</p><p>b</p>" is "a b", not "ab"),
+ * whitespace collapsed. Also used by the library index (chat_library.js).
+ */
+function searchableText($, content) {
+  const copy = $(content).clone();
+  copy.find(INDEX_SKIP).remove();
+  copy.find(BLOCKS).after(" ");
+  return copy.text().replace(/\s+/g, " ").trim();
+}
+
+/**
+ * One entry per rendered message: global index, role, per-role index and
+ * lowercased text. Read from the transcript HTML rather than the messages,
+ * so the index holds exactly the text the viewer highlights in (redacted,
+ * code without its chrome, ...).
+ */
+function buildSearchIndex(html) {
+  const $ = cheerio.load(html);
+  return $(".turn[data-global-idx]")
+    .toArray()
+    .map((t) => ({
+      g: toNumber($(t).attr("data-global-idx")),
+      r: $(t).attr("data-role") || "",
+      i: toNumber($(t).attr("data-role-idx")),
+      t: searchableText($, $(t).children(".bubble").children(".content")).toLowerCase(),
+    }))
+    .filter((e) => e.g != null);
+}
+
+// JSON that cannot close its <script> element
+const scriptJson = (value) => JSON.stringify(value).replace(/</g, "\\u003c");
+
+const VIEWER_BAR = `
+  <div class="viewerBar" id="viewerBar">
+    <input id="vSearch" type="search" placeholder="Search (/)" autocomplete="off" />
+    <span class="vCount" id="vCount"></span>
+    <button type="button" id="vPrev" title="Previous match (Shift+Enter)">↑</button>
+    <button type="button" id="vNext" title="Next match (Enter)">↓</button>
+    <label><input type="checkbox" id="vOnly" /> Only matches</label>
+    <select id="vRole" title="Show messages of">
+      <option value="">All roles</option>
+      <option value="user">User</option>
+      <option value="assistant">Assistant</option>
+    </select>
+    <input id="vJump" type="text" placeholder="Go to #123 / U12" size="11" autocomplete="off" />
+    <label><input type="checkbox" id="vCollapse" checked /> Collapse long</label>
+  </div>`;
+
+const VIEWER_CSS = `
+  .viewerBar{
+    position: sticky;
+    top: 0;
+    z-index: 10;
+    display: flex;
+    flex-wrap: wrap;
+    gap: 8px;
+    align-items: center;
+    padding: 8px 16px;
+    background: var(--bg);
+    border-bottom: 1px solid var(--border);
+    font-size: 14px;
+  }
+  .viewerBar input, .viewerBar select, .viewerBar button{
+    font: inherit;
+    color: var(--text);
+    background: var(--panel);
+    border: 1px solid var(--border);
+    border-radius: 8px;
+    padding: 4px 8px;
+  }
+  .viewerBar #vSearch{ flex: 1; min-width: 180px; }
+  .viewerBar label{ display: inline-flex; gap: 4px; align-items: center; }
+  .vCount{ min-width: 64px; opacity: .75; font-size: 12px; }
+
+  .turn.vHidden{ display: none; }
+  .turn.vCollapsed .content{
+    max-height: 320px;
+    overflow: hidden;
+    -webkit-mask-image: linear-gradient(to bottom, #000 70%, transparent);
+    mask-image: linear-gradient(to bottom, #000 70%, transparent);
+  }
+  .vExpand{
+    margin-top: 6px;
+    font: inherit;
+    font-size: 12px;
+    color: var(--link);
+    background: none;
+    border: 0;
+    cursor: pointer;
+    padding: 0;
+  }
+  mark.vHit{ background: #ffd54f; color: #111; border-radius: 3px; }
+  mark.vHit.vCurrent{ background: #ff9800; outline: 2px solid #ff9800; }
+  .turn.vFlash .bubble{ outline: 3px solid var(--link); }
+
+  @media print{
+    .viewerBar, .vExpand{ display: none; }
+    .turn.vHidden{ display: block; }
+    .turn.vCollapsed .content{ max-height: none; -webkit-mask-image: none; mask-image: none; }
+  }`;
+
+// Runs in the browser
+const VIEWER_JS = `
+(() => {
+  const COLLAPSE_PX = 600;
+  const NO_MARK = ".codeLang, .katex, .vExpand";
+  const index = JSON.parse(document.getElementById("searchIndex").textContent);
+  const turnOf = new Map();
+  for (const t of document.querySelectorAll(".turn[data-global-idx]")) {
+    turnOf.set(Number(t.dataset.globalIdx), t);
+  }
+
+  const $ = (id) => document.getElementById(id);
+  const search = $("vSearch"), count = $("vCount"), only = $("vOnly");
+  const role = $("vRole"), jump = $("vJump"), collapse = $("vCollapse");
+
+  let hits = []; // <mark> elements, in document order
+  let current = -1;
+
+  const contentOf = (turn) => turn.querySelector(":scope > .bubble > .content");
+
+  // Collapse long messages
+  function applyCollapse() {
+    for (const t of turnOf.values()) {
+      const c = contentOf(t);
+      if (!c) continue;
+      const long = collapse.checked && !t.dataset.vExpanded && c.scrollHeight > COLLAPSE_PX;
+      t.classList.toggle("vCollapsed", long);
+      let btn = t.querySelector(":scope > .bubble > .vExpand");
+      if (long && !btn) {
+        btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = "vExpand";
+        btn.textContent = "Show all";
+        btn.addEventListener("click", () => expand(t));
+        c.after(btn);
+      }
+      if (btn) btn.hidden = !long;
+    }
+  }
+
+  function expand(t) {
+    t.dataset.vExpanded = "1";
+    t.classList.remove("vCollapsed");
+    const btn = t.querySelector(":scope > .bubble > .vExpand");
+    if (btn) btn.hidden = true;
+  }
+
+  function clearMarks() {
+    for (const m of document.querySelectorAll("mark.vHit")) {
+      const parent = m.parentNode;
+      parent.replaceChild(document.createTextNode(m.textContent), m);
+      parent.normalize();
+    }
+    hits = [];
+    current = -1;
+  }
+
+  function markTerms(root, terms) {
+    const re = new RegExp(terms.map((t) => t.replace(/[.*+?^\${}()|[\\]\\\\]/g, "\\\\$&")).join("|"), "gi");
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode: (n) => (n.parentElement.closest(NO_MARK) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT),
+    });
+    const nodes = [];
+    while (walker.nextNode()) nodes.push(walker.currentNode);
+    for (const node of nodes) {
+      const text = node.nodeValue;
+      re.lastIndex = 0;
+      if (!re.test(text)) continue;
+      re.lastIndex = 0;
+      const frag = document.createDocumentFragment();
+      let last = 0;
+      let m;
+      while ((m = re.exec(text))) {
+        if (!m[0]) break;
+        frag.append(text.slice(last, m.index));
+        const mark = document.createElement("mark");
+        mark.className = "vHit";
+        mark.textContent = m[0];
+        frag.append(mark);
+        last = m.index + m[0].length;
+      }
+      frag.append(text.slice(last));
+      node.parentNode.replaceChild(frag, node);
+    }
+  }
+
+  function update() {
+    clearMarks();
+    const terms = search.value.toLowerCase().split(/\\s+/).filter(Boolean);
+    const wantRole = role.value;
+
+    for (const e of index) {
+      const t = turnOf.get(e.g);
+      if (!t) continue;
+      const matches = terms.length > 0 && terms.every((w) => e.t.includes(w));
+      const roleOk = !wantRole || e.r === wantRole;
+      t.classList.toggle("vHidden", !roleOk || (only.checked && terms.length > 0 && !matches));
+      if (matches && roleOk) markTerms(contentOf(t) || t, terms);
+    }
+
+    hits = Array.from(document.querySelectorAll(".turn:not(.vHidden) mark.vHit"));
+    count.textContent = terms.length ? (hits.length ? \`\${hits.length} hits\` : "no hits") : "";
+  }
+
+  function step(dir) {
+    if (!hits.length) return;
+    if (current >= 0) hits[current].classList.remove("vCurrent");
+    current = (current + dir + hits.length) % hits.length;
+    const hit = hits[current];
+    hit.classList.add("vCurrent");
+    const t = hit.closest(".turn");
+    if (t) expand(t);
+    hit.scrollIntoView({ block: "center" });
+    count.textContent = \`\${current + 1} / \${hits.length}\`;
+  }
+
+  // "123" / "#123" -> global index; "U12" / "A7" -> per-role index
+  function jumpTo(value) {
+    const v = value.trim();
+    let entry = null;
+    const g = v.match(/^#?\\s*(\\d+)$/);
+    const r = v.match(/^([ua])\\s*(\\d+)$/i);
+    if (g) entry = index.find((e) => e.g === Number(g[1]));
+    else if (r) {
+      const wanted = r[1].toLowerCase() === "u" ? "user" : "assistant";
+      entry = index.find((e) => e.r === wanted && e.i === Number(r[2]));
+    }
+    const t = entry && turnOf.get(entry.g);
+    if (!t) {
+      jump.setCustomValidity("No such message");
+      jump.reportValidity();
+      return;
+    }
+    jump.setCustomValidity("");
+    t.classList.remove("vHidden");
+    expand(t);
+    t.scrollIntoView({ block: "start" });
+    t.classList.add("vFlash");
+    setTimeout(() => t.classList.remove("vFlash"), 1200);
+  }
+
+  let timer = null;
+  search.addEventListener("input", () => {
+    clearTimeout(timer);
+    timer = setTimeout(update, 200);
+  });
+  search.addEventListener("keydown", (ev) => {
+    if (ev.key !== "Enter") return;
+    ev.preventDefault();
+    clearTimeout(timer);
+    if (!hits.length) update();
+    step(ev.shiftKey ? -1 : 1);
+  });
+  $("vNext").addEventListener("click", () => step(1));
+  $("vPrev").addEventListener("click", () => step(-1));
+  only.addEventListener("change", update);
+  role.addEventListener("change", update);
+  collapse.addEventListener("change", applyCollapse);
+  jump.addEventListener("keydown", (ev) => {
+    if (ev.key === "Enter") jumpTo(jump.value);
+  });
+  jump.addEventListener("input", () => jump.setCustomValidity(""));
+  document.addEventListener("keydown", (ev) => {
+    if (ev.key === "/" && !/^(INPUT|SELECT|TEXTAREA)$/.test(document.activeElement.tagName)) {
+      ev.preventDefault();
+      search.focus();
+    }
+  });
+
+  applyCollapse();
+})();
+`;
+
+/**
+ * Viewer HTML for a transcript ({ title, messages, totals, headerHtml, opts, ... },
+ * the same object renderTranscriptHtml takes).
+ */
+function renderViewerHtml(transcript) {
+  const html = renderTranscriptHtml(transcript);
+  const index = buildSearchIndex(html);
+
+  const head = html.indexOf("</head>");
+  const wrap = html.indexOf(`<div class="wrap">`);
+  const body = html.lastIndexOf("</body>");
+
+  return (
+    html.slice(0, head) +
+    `<style id="viewerCss">${VIEWER_CSS}\n</style>\n` +
+    html.slice(head, wrap) +
+    `${VIEWER_BAR}\n  ` +
+    html.slice(wrap, body) +
+    `<script type="application/json" id="searchIndex">${scriptJson(index)}</script>\n` +
+    `<script>${VIEWER_JS}</script>\n` +
+    html.slice(body)
+  );
+}
+
+module.exports = {
+  viewerPathFor,
+  searchableText,
+  buildSearchIndex,
+  renderViewerHtml,
+};